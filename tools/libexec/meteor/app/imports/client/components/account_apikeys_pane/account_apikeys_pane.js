@@ -0,0 +1,169 @@
+/*
+ * /imports/client/components/account_apikeys_pane/account_apikeys_pane.js
+ *
+ * A pane to be rendered in a Tabbed to manage the REST API keys of an account.
+ * Keys are generated, updated and revoked immediately on the server, independently of the account edition itself.
+ * A generated key is only displayed once, as the server only keeps its hash.
+ *
+ * Parms:
+ * - item: a ReactiveVar which holds the account object to edit (may be empty, but not null)
+ * - isNew: true|false
+ * - checker: a ReactiveVar which holds the parent Checker
+ * - amInstance: a ReactiveVar which holds the amClass instance
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { AccountsManager } from 'meteor/pwix:accounts-manager';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import { Accounts } from '/imports/common/collections/accounts/index.js';
+
+import './account_apikeys_pane.html';
+
+Template.account_apikeys_pane.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the API keys of the account, without their hash
+        keys: new ReactiveVar( [] ),
+        // the last generated key, displayed once
+        generatedKey: new ReactiveVar( null ),
+        // the last error message
+        message: new ReactiveVar( null ),
+
+        // returns the account identifier
+        //  read from the instance, as there is no current view anymore after an await
+        accountId(){
+            return self.data.item.get()._id;
+        },
+
+        // run the named method, displaying the error if any, and reloading the keys
+        async call( method, ...args ){
+            self.APP.message.set( null );
+            try {
+                const res = await Meteor.callAsync( method, self.APP.accountId(), ...args );
+                await self.APP.reload();
+                return res;
+            } catch( e ){
+                self.APP.message.set( e.reason || e.message );
+                return null;
+            }
+        },
+
+        // check the input values, displaying the first error if any
+        async check( label, expireAt ){
+            for( const [ fn, value ] of [[ 'apiKeyLabel', label ], [ 'apiKeyExpireAt', expireAt ]] ){
+                const res = await Accounts.checks[fn]( value, null, { update: false });
+                if( res ){
+                    self.APP.message.set( res.message());
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        // reload the API keys from the server
+        async reload(){
+            self.APP.keys.set( await Meteor.callAsync( 'app_accounts_apikeys_list', self.APP.accountId()));
+        },
+
+        // update a row from the table
+        async update( $tr ){
+            const label = $tr.find( '.js-row-label' ).val();
+            const expireAt = $tr.find( '.js-row-expire' ).val() || null;
+            if( await self.APP.check( label, expireAt )){
+                await self.APP.call( 'app_accounts_apikeys_update', $tr.data( 'item-id' ), { label: label, expireAt: expireAt });
+            }
+        }
+    };
+
+    // load the keys of an existing account
+    self.autorun(() => {
+        if( !Template.currentData().isNew && self.APP.accountId()){
+            self.APP.reload().catch(( e ) => {
+                self.APP.message.set( e.reason || e.message );
+            });
+        }
+    });
+});
+
+Template.account_apikeys_pane.helpers({
+    // a date as a string
+    dateStr( date ){
+        return date ? strftime( AccountsManager.configure().datetime, date ) : '';
+    },
+
+    // a date as a 'YYYY-MM-DD' string for a date input
+    dayStr( date ){
+        return date ? strftime( '%Y-%m-%d', date ) : '';
+    },
+
+    // the last generated key
+    generatedKey(){
+        return Template.instance().APP.generatedKey.get();
+    },
+
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // whether the account is new (so cannot have keys yet)
+    isNew(){
+        return this.isNew;
+    },
+
+    // the list of the API keys
+    keys(){
+        return Template.instance().APP.keys.get();
+    },
+
+    // the max length of a key label
+    labelMaxLength(){
+        return Accounts.C.apiKeyLabelMaxLength;
+    },
+
+    // the last error message
+    message(){
+        return Template.instance().APP.message.get();
+    },
+
+    // a revoked or expired key cannot be updated
+    rowDisabled( it ){
+        return Boolean( it.revokedAt || ( it.expireAt && it.expireAt <= new Date()));
+    },
+
+    // the status of the key
+    status( it ){
+        const key = it.revokedAt ? 'revoked' : ( it.expireAt && it.expireAt <= new Date() ? 'expired' : 'active' );
+        return pwixI18n.label( I18N, 'accounts.apikeys.status_'+key );
+    }
+});
+
+Template.account_apikeys_pane.events({
+    async 'click .js-generate'( event, instance ){
+        const label = instance.$( '.js-label' ).val();
+        const expireAt = instance.$( '.js-expire' ).val() || null;
+        instance.APP.generatedKey.set( null );
+        if( await instance.APP.check( label, expireAt )){
+            const res = await instance.APP.call( 'app_accounts_apikeys_generate', { label: label, expireAt: expireAt });
+            if( res ){
+                instance.APP.generatedKey.set( res.key );
+                instance.$( '.js-label' ).val( '' );
+                instance.$( '.js-expire' ).val( '' );
+            }
+        }
+    },
+
+    async 'change .js-row-label, change .js-row-expire'( event, instance ){
+        await instance.APP.update( instance.$( event.currentTarget ).closest( 'tr' ));
+    },
+
+    async 'click .js-revoke'( event, instance ){
+        await instance.APP.call( 'app_accounts_apikeys_revoke', instance.$( event.currentTarget ).closest( 'tr' ).data( 'item-id' ));
+    }
+});
@@ -12,13 +12,18 @@
 
 import _ from 'lodash';
 import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
 
 import { AccountsManager } from 'meteor/pwix:accounts-manager';
 import { Forms } from 'meteor/pwix:forms';
 import { pwixI18n } from 'meteor/pwix:i18n';
 
+import { Logger } from '/imports/common/classes/logger.class.js';
+
 import './account_edit_pane.html';
 
+const logger = Logger.get( 'account-edit-pane' );
+
 Template.account_edit_pane.onCreated( function(){
     const self = this;
 
@@ -31,13 +36,46 @@ Template.account_edit_pane.onCreated( function(){
             apiConnection: {
                 js: '.js-last',
                 formTo( $node, item ){
-                    return $node.val( item.apiConnection ? strftime( AccountsManager.configure().datetime, item.lastConnection ) : '' );
+                    return $node.val( item.apiConnection ? strftime( AccountsManager.configure().datetime, item.apiConnection ) : '' );
                 }
             }
         },
         // the Form.Checker instance for this panel
-        checker: new ReactiveVar( null )
+        checker: new ReactiveVar( null ),
+        // the lockout status of the account
+        lockout: new ReactiveVar( null ),
+        // the two-factor status of the account
+        twoFactor: new ReactiveVar( null ),
+
+        // reload the lockout status
+        //  the account identifier is read from the instance, as there is no current view anymore after an await
+        async lockoutReload(){
+            const accountId = self.data.item.get()._id;
+            if( accountId ){
+                self.APP.lockout.set( await Meteor.callAsync( 'app_accounts_lockout_status', accountId ));
+            }
+        },
+
+        // reload the two-factor status
+        //  the account identifier is read from the instance, as there is no current view anymore after an await
+        async twoFactorReload(){
+            const accountId = self.data.item.get()._id;
+            if( accountId ){
+                self.APP.twoFactor.set( await Meteor.callAsync( 'app_accounts_twofactor_status', accountId ));
+            }
+        }
     };
+
+    self.autorun(() => {
+        if( !Template.currentData().isNew ){
+            self.APP.lockoutReload().catch(( e ) => {
+                logger.error( e );
+            });
+            self.APP.twoFactorReload().catch(( e ) => {
+                logger.error( e );
+            });
+        }
+    });
 });
 
 Template.account_edit_pane.onRendered( function(){
@@ -65,5 +103,62 @@ Template.account_edit_pane.helpers({
     // string translation
     i18n( arg ){
         return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // whether the account is new
+    isNew(){
+        return this.isNew;
+    },
+
+    // the lockout status of the account
+    lockout(){
+        return Template.instance().APP.lockout.get() || {};
+    },
+
+    // the lockout status as a string
+    lockoutStr(){
+        const status = Template.instance().APP.lockout.get();
+        if( !status ){
+            return '';
+        }
+        if( status.locked ){
+            return pwixI18n.label( I18N, 'accounts.edit.lockout_locked', strftime( AccountsManager.configure().datetime, status.lockedUntil ));
+        }
+        return status.failures ? pwixI18n.label( I18N, 'accounts.edit.lockout_failures', status.failures ) : pwixI18n.label( I18N, 'accounts.edit.lockout_none' );
+    },
+
+    // the two-factor status of the account
+    twoFactor(){
+        return Template.instance().APP.twoFactor.get() || {};
+    },
+
+    // the two-factor status as a string
+    twoFactorStr(){
+        const status = Template.instance().APP.twoFactor.get();
+        if( !status ){
+            return '';
+        }
+        const key = status.enabled ? 'enabled' : ( status.required ? 'missing' : 'disabled' );
+        return pwixI18n.label( I18N, 'accounts.edit.twofactor_'+key );
+    }
+});
+
+Template.account_edit_pane.events({
+    async 'click .js-lockout-unlock'( event, instance ){
+        try {
+            await Meteor.callAsync( 'app_accounts_lockout_unlock', instance.data.item.get()._id );
+            await instance.APP.lockoutReload();
+        } catch( e ){
+            logger.error( e );
+        }
+    },
+
+    async 'click .js-twofactor-reset'( event, instance ){
+        try {
+            await Meteor.callAsync( 'app_accounts_twofactor_reset', instance.data.item.get()._id );
+            await instance.APP.twoFactorReload();
+        } catch( e ){
+            logger.error( e );
+        }
     }
 });
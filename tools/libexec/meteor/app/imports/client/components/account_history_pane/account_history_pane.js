@@ -0,0 +1,85 @@
+/*
+ * /imports/client/components/account_history_pane/account_history_pane.js
+ *
+ * A pane to be rendered in a Tabbed to display the change history of an account.
+ *
+ * Parms:
+ * - item: a ReactiveVar which holds the account object to edit (may be empty, but not null)
+ * - isNew: true|false
+ * - checker: a ReactiveVar which holds the parent Checker
+ * - amInstance: a ReactiveVar which holds the amClass instance
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { AccountsManager } from 'meteor/pwix:accounts-manager';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import './account_history_pane.html';
+
+const logger = Logger.get( 'account-history-pane' );
+
+Template.account_history_pane.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        history: new ReactiveVar( [] )
+    };
+
+    // load the history of an existing account
+    self.autorun(() => {
+        const accountId = Template.currentData().item.get()._id;
+        if( !Template.currentData().isNew && accountId ){
+            Meteor.callAsync( 'app_accounts_history_list', accountId )
+                .then(( res ) => {
+                    self.APP.history.set( res );
+                })
+                .catch(( e ) => {
+                    logger.error( e );
+                });
+        }
+    });
+});
+
+Template.account_history_pane.helpers({
+    // the action label
+    action( it ){
+        return pwixI18n.label( I18N, 'accounts.history.action_'+it.action );
+    },
+
+    // a date as a string
+    dateStr( date ){
+        return date ? strftime( AccountsManager.configure().datetime, date ) : '';
+    },
+
+    // the history of the account
+    history(){
+        return Template.instance().APP.history.get();
+    },
+
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // whether the account is new (so doesn't have any history yet)
+    isNew(){
+        return this.isNew;
+    },
+
+    // a changed value as a string
+    valueStr( value ){
+        if( value === null || value === undefined ){
+            return '-';
+        }
+        if( value instanceof Date ){
+            return strftime( AccountsManager.configure().datetime, value );
+        }
+        return _.isObject( value ) ? JSON.stringify( value ) : String( value );
+    }
+});
@@ -0,0 +1,111 @@
+/*
+ * /imports/client/components/accounts_import_export/accounts_import_export.js
+ *
+ * Export the accounts as a CSV or JSON file, and import accounts from such a file.
+ * An import can first be previewed as a dry run, which only reports the per-row errors.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import './accounts_import_export.html';
+
+Template.accounts_import_export.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the content of the selected file
+        content: new ReactiveVar( null ),
+        // the format of the selected file
+        format: new ReactiveVar( null ),
+        // the last error message
+        message: new ReactiveVar( null ),
+        // the last import report
+        report: new ReactiveVar( null ),
+
+        // download the content as a file
+        download( content, format ){
+            const blob = new Blob([ content ], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+            const url = URL.createObjectURL( blob );
+            const a = document.createElement( 'a' );
+            a.href = url;
+            a.download = 'accounts.'+format;
+            a.click();
+            URL.revokeObjectURL( url );
+        }
+    };
+});
+
+Template.accounts_import_export.helpers({
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // whether the import buttons are disabled
+    importDisabled(){
+        return !Template.instance().APP.content.get();
+    },
+
+    // the last error message
+    message(){
+        return Template.instance().APP.message.get();
+    },
+
+    // the last import report
+    report(){
+        return Template.instance().APP.report.get();
+    },
+
+    // a class for the report row
+    rowClass( it ){
+        return it.status === 'error' ? 'table-danger' : ( it.status === 'duplicate' ? 'table-warning' : '' );
+    },
+
+    // the translated status of the report row
+    status( it ){
+        return pwixI18n.label( I18N, 'accounts.import_export.status_'+it.status );
+    },
+
+    // a summary of the report
+    summary(){
+        const report = Template.instance().APP.report.get() || [];
+        const count = _.countBy( report, 'status' );
+        return pwixI18n.label( I18N, 'accounts.import_export.summary', report.length, ( count.created || 0 ) + ( count.valid || 0 ), count.duplicate || 0, count.error || 0 );
+    }
+});
+
+Template.accounts_import_export.events({
+    async 'click .js-export'( event, instance ){
+        const format = instance.$( event.currentTarget ).data( 'format' );
+        instance.APP.message.set( null );
+        try {
+            instance.APP.download( await Meteor.callAsync( 'app_accounts_export', format ), format );
+        } catch( e ){
+            instance.APP.message.set( e.reason || e.message );
+        }
+    },
+
+    async 'change .js-file'( event, instance ){
+        const file = event.currentTarget.files[0];
+        instance.APP.report.set( null );
+        instance.APP.message.set( null );
+        instance.APP.content.set( file ? await file.text() : null );
+        instance.APP.format.set( file && /\.json$/i.test( file.name ) ? 'json' : 'csv' );
+    },
+
+    async 'click .js-import'( event, instance ){
+        const dryRun = instance.$( event.currentTarget ).data( 'dry-run' ) === true;
+        const enroll = instance.$( '.js-enroll' ).is( ':checked' );
+        instance.APP.message.set( null );
+        instance.APP.report.set( null );
+        try {
+            instance.APP.report.set( await Meteor.callAsync( 'app_accounts_import', instance.APP.content.get(), instance.APP.format.get(), { dryRun: dryRun, enroll: enroll }));
+        } catch( e ){
+            instance.APP.message.set( e.reason || e.message );
+        }
+    }
+});
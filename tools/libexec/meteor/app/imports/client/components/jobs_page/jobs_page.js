@@ -0,0 +1,81 @@
+/*
+ * /imports/client/components/jobs_page/jobs_page.js
+ *
+ * Display the scheduled jobs and their last runs, letting the administrator run a job on demand.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import { JobsRuns } from '/imports/common/collections/jobs-runs/index.js';
+
+import './jobs_page.html';
+
+Template.jobs_page.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the registered jobs
+        jobs: new ReactiveVar( [] ),
+        // the last error message
+        message: new ReactiveVar( null ),
+
+        // reload the registered jobs from the server
+        async reload(){
+            try {
+                self.APP.jobs.set( await Meteor.callAsync( 'app_jobs_list' ));
+            } catch( e ){
+                self.APP.message.set( e.reason || e.message );
+            }
+        }
+    };
+
+    self.APP.reload();
+});
+
+Template.jobs_page.helpers({
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the registered jobs
+    jobs(){
+        return Template.instance().APP.jobs.get();
+    },
+
+    // the last error message
+    message(){
+        return Template.instance().APP.message.get();
+    },
+
+    // the next run time of the job
+    nextStr( it ){
+        return it.enabled ? ( it.nextAt ? strftime( '%Y-%m-%d %H:%M', it.nextAt ) : '' ) : pwixI18n.label( I18N, 'jobs.list.disabled' );
+    },
+
+    // the Tabular table
+    table(){
+        return JobsRuns.tabular;
+    }
+});
+
+Template.jobs_page.events({
+    async 'click .js-run'( event, instance ){
+        const name = instance.$( event.currentTarget ).closest( 'tr' ).data( 'item-id' );
+        instance.APP.message.set( null );
+        try {
+            const runId = await Meteor.callAsync( 'app_jobs_run', name );
+            if( !runId ){
+                instance.APP.message.set( pwixI18n.label( I18N, 'jobs.list.locked', name ));
+            }
+        } catch( e ){
+            instance.APP.message.set( e.reason || e.message );
+        }
+        await instance.APP.reload();
+    }
+});
@@ -0,0 +1,105 @@
+/*
+ * /imports/client/components/mails_inbox/mails_inbox.js
+ *
+ * Browse the mails captured instead of being delivered, displaying the rendered message and its links.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import './mails_inbox.html';
+
+Template.mails_inbox.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the captured mails, without their content
+        mails: new ReactiveVar( [] ),
+        // the last error message
+        message: new ReactiveVar( null ),
+        // the selected mail, with its content
+        selected: new ReactiveVar( null ),
+
+        // run the named method, displaying the error if any
+        async call( method, ...args ){
+            self.APP.message.set( null );
+            try {
+                return await Meteor.callAsync( method, ...args );
+            } catch( e ){
+                self.APP.message.set( e.reason || e.message );
+                return null;
+            }
+        },
+
+        // reload the captured mails from the server
+        async reload(){
+            self.APP.mails.set( await self.APP.call( 'app_mails_list' ) || [] );
+        }
+    };
+
+    self.APP.reload();
+});
+
+Template.mails_inbox.helpers({
+    // a date as a string
+    dateStr( date ){
+        return date ? strftime( '%Y-%m-%d %H:%M:%S', date ) : '';
+    },
+
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the links of the selected mail, from its HTML content if any, else from its text
+    links(){
+        let links = [];
+        if( this.html ){
+            const doc = new DOMParser().parseFromString( this.html, 'text/html' );
+            doc.querySelectorAll( 'a[href]' ).forEach(( it ) => { links.push( it.getAttribute( 'href' )); });
+        } else {
+            links = this.text.match( /https?:\/\/\S+/g ) || [];
+        }
+        return _.uniq( links );
+    },
+
+    // the captured mails
+    mails(){
+        return Template.instance().APP.mails.get();
+    },
+
+    // the last error message
+    message(){
+        return Template.instance().APP.message.get();
+    },
+
+    // highlight the selected mail
+    rowClass( it ){
+        return Template.instance().APP.selected.get()?._id === it._id ? 'table-active' : '';
+    },
+
+    // the selected mail
+    selected(){
+        return Template.instance().APP.selected.get();
+    }
+});
+
+Template.mails_inbox.events({
+    async 'click .js-clear'( event, instance ){
+        await instance.APP.call( 'app_mails_clear' );
+        instance.APP.selected.set( null );
+        await instance.APP.reload();
+    },
+
+    async 'click .js-mail'( event, instance ){
+        instance.APP.selected.set( await instance.APP.call( 'app_mails_get', instance.$( event.currentTarget ).data( 'item-id' )));
+    },
+
+    async 'click .js-reload'( event, instance ){
+        await instance.APP.reload();
+    }
+});
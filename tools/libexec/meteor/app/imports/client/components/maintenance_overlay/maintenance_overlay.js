@@ -0,0 +1,35 @@
+/*
+ * /imports/client/components/maintenance_overlay/maintenance_overlay.js
+ *
+ * The maintenance page, displayed over the application to the users who are not exempt from the maintenance mode,
+ * see /imports/client/init/maintenance.js.
+ *
+ * Parms:
+ *  - message: the optional message of the maintenance
+ *  - onAdmin: a function called when the user asks to log in as an administrator
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+
+import './maintenance_overlay.html';
+
+Template.maintenance_overlay.helpers({
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the message of the maintenance
+    message(){
+        return Template.currentData().message;
+    }
+});
+
+Template.maintenance_overlay.events({
+    'click .js-admin'( event, instance ){
+        Template.currentData().onAdmin();
+    }
+});
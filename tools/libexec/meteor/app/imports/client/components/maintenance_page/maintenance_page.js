@@ -0,0 +1,69 @@
+/*
+ * /imports/client/components/maintenance_page/maintenance_page.js
+ *
+ * Let the application administrators toggle the maintenance mode.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import { Maintenance } from '/imports/common/collections/maintenance/index.js';
+
+import './maintenance_page.html';
+
+Template.maintenance_page.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the last error message
+        error: new ReactiveVar( null ),
+
+        // the published maintenance status
+        status(){
+            return Maintenance.collection().findOne({ _id: Maintenance.C.docId }) || {};
+        }
+    };
+});
+
+Template.maintenance_page.helpers({
+    // whether the maintenance mode is on
+    enabledChecked(){
+        return Template.instance().APP.status().enabled ? 'checked' : '';
+    },
+
+    // the last error message
+    error(){
+        return Template.instance().APP.error.get();
+    },
+
+    // whether the maintenance mode is forced by the environment settings
+    forced(){
+        return Template.instance().APP.status().forced;
+    },
+
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the current message
+    messageValue(){
+        return Template.instance().APP.status().message || '';
+    }
+});
+
+Template.maintenance_page.events({
+    async 'click .js-save'( event, instance ){
+        instance.APP.error.set( null );
+        const enabled = instance.$( '.js-enabled' ).prop( 'checked' );
+        const message = instance.$( '.js-message' ).val().trim();
+        try {
+            await Meteor.callAsync( 'app_maintenance_set', enabled, message || null );
+        } catch( e ){
+            instance.APP.error.set( e.reason || e.message );
+        }
+    }
+});
@@ -0,0 +1,26 @@
+/*
+ * /imports/client/components/permissions_audit_page/permissions_audit_page.js
+ *
+ * Display the audit trail of the permission decisions.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+
+import { PermissionsAudit } from '/imports/common/collections/permissions-audit/index.js';
+
+import './permissions_audit_page.html';
+
+Template.permissions_audit_page.helpers({
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the Tabular table
+    table(){
+        return PermissionsAudit.tabular;
+    }
+});
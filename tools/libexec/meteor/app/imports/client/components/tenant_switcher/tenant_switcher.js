@@ -0,0 +1,86 @@
+/*
+ * /imports/client/components/tenant_switcher/tenant_switcher.js
+ *
+ * Let the connected user choose the tenant they work in, and the date at which its record is effective.
+ * Both are held by the run context, see /imports/common/classes/run-context.class.js.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+import { RunContext } from '/imports/common/classes/run-context.class.js';
+
+import './tenant_switcher.html';
+
+const logger = Logger.get( 'tenant-switcher' );
+
+// returns the label of the tenant, from its record effective at the chosen date, else from its last record
+const _label = function( it ){
+    const record = RunContext.effectiveRecord( it.records, Meteor.APP.runContext.recordDate()) || _.last( it.records );
+    return record?.label || it.entity._id;
+};
+
+Template.tenant_switcher.helpers({
+    // the chosen date as an input value
+    dateValue(){
+        return strftime( '%Y-%m-%d', Meteor.APP.runContext.recordDate());
+    },
+
+    // the selected tenant
+    entity(){
+        return Meteor.APP.runContext.entity();
+    },
+
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the label of the tenant
+    label( it ){
+        return _label( it );
+    },
+
+    // a description of the effective record
+    recordStr(){
+        const record = Meteor.APP.runContext.record();
+        if( !record ){
+            return pwixI18n.label( I18N, 'tenants.switcher.record_none' );
+        }
+        const { startField, endField } = RunContext.validityFields();
+        const _date = ( it ) => it ? strftime( '%Y-%m-%d', new Date( it )) : '-';
+        return pwixI18n.label( I18N, 'tenants.switcher.record_validity', record.label || record._id, _date( record[startField] ), _date( record[endField] ));
+    },
+
+    // whether the option is selected
+    selected( entityId ){
+        return Meteor.APP.runContext.entityId() === entityId ? 'selected' : '';
+    },
+
+    // the tenants of the user
+    tenants(){
+        return Meteor.APP.runContext.tenants();
+    }
+});
+
+Template.tenant_switcher.events({
+    'change .js-date'( event, instance ){
+        const value = instance.$( event.currentTarget ).val();
+        if( value ){
+            const [ y, m, d ] = value.split( '-' ).map(( it ) => parseInt( it ));
+            Meteor.APP.runContext.recordDateSet( new Date( y, m-1, d ));
+        }
+    },
+
+    async 'change .js-entity'( event, instance ){
+        try {
+            await Meteor.APP.runContext.entitySet( instance.$( event.currentTarget ).val() || null );
+        } catch( e ){
+            logger.error( e );
+        }
+    }
+});
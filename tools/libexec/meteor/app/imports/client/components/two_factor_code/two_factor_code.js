@@ -0,0 +1,83 @@
+/*
+ * /imports/client/components/two_factor_code/two_factor_code.js
+ *
+ * A modal body which asks the user for the second factor, either a TOTP code or a recovery code.
+ *
+ * Parms:
+ * - resolve: the function to be called with the { code, recovery } result, or null if the user cancels
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Modal } from 'meteor/pwix:modal';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import './two_factor_code.html';
+
+Template.two_factor_code.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        recovery: new ReactiveVar( false ),
+        resolved: false,
+
+        // resolve once, and close the modal
+        resolve( res ){
+            if( !self.APP.resolved ){
+                self.APP.resolved = true;
+                self.data.resolve( res );
+            }
+            Modal.close();
+        }
+    };
+});
+
+Template.two_factor_code.onRendered( function(){
+    this.$( '.js-code' ).focus();
+});
+
+Template.two_factor_code.helpers({
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // numeric keyboard for TOTP codes
+    inputMode(){
+        return Template.instance().APP.recovery.get() ? 'text' : 'numeric';
+    },
+
+    // the prompt depends of the kind of code
+    prompt(){
+        return Template.instance().APP.recovery.get() ? 'accounts.twofactor.recovery_prompt' : 'accounts.twofactor.code_prompt';
+    }
+});
+
+Template.two_factor_code.events({
+    'change .js-recovery'( event, instance ){
+        instance.APP.recovery.set( instance.$( event.currentTarget ).prop( 'checked' ));
+    },
+
+    'click .js-cancel'( event, instance ){
+        instance.APP.resolve( null );
+    },
+
+    'click .js-ok, keydown .js-code'( event, instance ){
+        if( event.type === 'click' || event.key === 'Enter' ){
+            const code = ( instance.$( '.js-code' ).val() || '' ).trim();
+            if( code ){
+                instance.APP.resolve({ code: code, recovery: instance.APP.recovery.get() });
+            }
+        }
+    }
+});
+
+// the modal may be closed without any button
+Template.two_factor_code.onDestroyed( function(){
+    if( !this.APP.resolved ){
+        this.APP.resolved = true;
+        this.data.resolve( null );
+    }
+});
@@ -0,0 +1,130 @@
+/*
+ * /imports/client/components/two_factor_enroll/two_factor_enroll.js
+ *
+ * Let the current user enroll to (resp. disable) the two-factor authentication, and regenerate the recovery codes.
+ * Rendered both as a page, and as a modal body when the enrollment is mandatory.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import './two_factor_enroll.html';
+
+Template.two_factor_enroll.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the two-factor status of the current user
+        status: new ReactiveVar( null ),
+        // the { svg, secret } activation QR code while enrolling
+        qrcode: new ReactiveVar( null ),
+        // the recovery codes, displayed once
+        recoveryCodes: new ReactiveVar( null ),
+        message: new ReactiveVar( null ),
+
+        // an error handler
+        error( err ){
+            self.APP.message.set( err ? ( err.reason || err.message ) : null );
+        },
+
+        // generate and display new recovery codes
+        async recovery(){
+            try {
+                self.APP.recoveryCodes.set( await Meteor.callAsync( 'app_accounts_twofactor_recovery' ));
+                await self.APP.reload();
+            } catch( e ){
+                self.APP.error( e );
+            }
+        },
+
+        // reload the status
+        async reload(){
+            self.APP.status.set( await Meteor.callAsync( 'app_accounts_twofactor_status' ));
+        }
+    };
+
+    self.autorun(() => {
+        if( Meteor.userId()){
+            self.APP.reload().catch(( e ) => {
+                self.APP.error( e );
+            });
+        }
+    });
+});
+
+Template.two_factor_enroll.helpers({
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the last error message
+    message(){
+        return Template.instance().APP.message.get();
+    },
+
+    // the activation QR code
+    qrcode(){
+        return Template.instance().APP.qrcode.get();
+    },
+
+    // the just generated recovery codes
+    recoveryCodes(){
+        return Template.instance().APP.recoveryCodes.get();
+    },
+
+    // the count of remaining recovery codes
+    recoveryCountStr(){
+        return pwixI18n.label( I18N, 'accounts.twofactor.recovery_count', Template.instance().APP.status.get()?.recoveryCount || 0 );
+    },
+
+    // the two-factor status
+    status(){
+        return Template.instance().APP.status.get() || {};
+    }
+});
+
+Template.two_factor_enroll.events({
+    'click .js-disable'( event, instance ){
+        instance.APP.error( null );
+        MeteorAccounts.disableUser2fa(( err ) => {
+            instance.APP.error( err );
+            instance.APP.recoveryCodes.set( null );
+            instance.APP.reload().catch(( e ) => {
+                instance.APP.error( e );
+            });
+        });
+    },
+
+    'click .js-enable'( event, instance ){
+        instance.APP.error( null );
+        MeteorAccounts.enableUser2fa( instance.$( '.js-code' ).val().trim(), ( err ) => {
+            if( err ){
+                instance.APP.error( err );
+            } else {
+                instance.APP.qrcode.set( null );
+                instance.APP.recovery();
+            }
+        });
+    },
+
+    'click .js-enroll'( event, instance ){
+        instance.APP.error( null );
+        MeteorAccounts.generate2faActivationQrCode( Meteor.APP.C.appName, ( err, res ) => {
+            if( err ){
+                instance.APP.error( err );
+            } else {
+                instance.APP.qrcode.set({ svg: res.svg, secret: res.secret });
+            }
+        });
+    },
+
+    'click .js-recovery'( event, instance ){
+        instance.APP.error( null );
+        instance.APP.recovery();
+    }
+});
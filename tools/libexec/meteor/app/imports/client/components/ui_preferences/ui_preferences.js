@@ -0,0 +1,75 @@
+/*
+ * /imports/client/components/ui_preferences/ui_preferences.js
+ *
+ * Let the connected user choose their color and layout themes, which are stored on their account.
+ * The themes are applied by the run context, see /imports/common/classes/run-context.class.js.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { ReactiveVar } from 'meteor/reactive-var';
+
+import './ui_preferences.html';
+
+Template.ui_preferences.onCreated( function(){
+    const self = this;
+
+    self.APP = {
+        // the last error message
+        message: new ReactiveVar( null ),
+
+        // record a preference
+        async save( name, value ){
+            self.APP.message.set( null );
+            try {
+                await Meteor.callAsync( 'app_accounts_preferences', { [name]: value || null });
+            } catch( e ){
+                self.APP.message.set( e.reason || e.message );
+            }
+        }
+    };
+});
+
+Template.ui_preferences.helpers({
+    // the color themes the user may choose, including the one which follows the operating system
+    colorThemes(){
+        return [ ...Meteor.APP.C.colorThemes, Meteor.APP.C.colorThemeAuto ];
+    },
+
+    // string translation
+    i18n( arg ){
+        return pwixI18n.label( I18N, arg.hash.key );
+    },
+
+    // the layout themes the user may choose
+    layoutThemes(){
+        return Meteor.APP.C.layoutThemes;
+    },
+
+    // the last error message
+    message(){
+        return Template.instance().APP.message.get();
+    },
+
+    // whether the option is the current preference
+    selected( name, value ){
+        return ( Meteor.user()?.uiPreferences?.[name] || null ) === value ? 'selected' : '';
+    },
+
+    // the label of a theme
+    themeLabel( theme ){
+        return pwixI18n.label( I18N, 'preferences.themes.'+theme.replace( /-/g, '_' ));
+    }
+});
+
+Template.ui_preferences.events({
+    async 'change .js-color'( event, instance ){
+        await instance.APP.save( 'colorTheme', instance.$( event.currentTarget ).val());
+    },
+
+    async 'change .js-layout'( event, instance ){
+        await instance.APP.save( 'layoutTheme', instance.$( event.currentTarget ).val());
+    }
+});
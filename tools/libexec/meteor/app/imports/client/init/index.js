@@ -11,7 +11,23 @@ import { strict as assert } from 'node:assert';
 import '/imports/common/init/index.js';
 
 import './display-set.js';
+import './language.js';
+import './maintenance.js';
 import './run-context.js';
 import './startup.js';
+import './theme.js';
+import './two-factor.js';
 
+import '/imports/client/components/account_apikeys_pane/account_apikeys_pane.js';
+import '/imports/client/components/accounts_import_export/accounts_import_export.js';
 import '/imports/client/components/account_edit_pane/account_edit_pane.js';
+import '/imports/client/components/account_history_pane/account_history_pane.js';
+import '/imports/client/components/jobs_page/jobs_page.js';
+import '/imports/client/components/mails_inbox/mails_inbox.js';
+import '/imports/client/components/maintenance_overlay/maintenance_overlay.js';
+import '/imports/client/components/maintenance_page/maintenance_page.js';
+import '/imports/client/components/permissions_audit_page/permissions_audit_page.js';
+import '/imports/client/components/tenant_switcher/tenant_switcher.js';
+import '/imports/client/components/two_factor_code/two_factor_code.js';
+import '/imports/client/components/two_factor_enroll/two_factor_enroll.js';
+import '/imports/client/components/ui_preferences/ui_preferences.js';
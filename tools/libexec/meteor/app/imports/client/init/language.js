@@ -0,0 +1,25 @@
+/*
+ * /imports/client/init/language.js
+ *
+ * Record the current language as the preferred language of the connected user, so that the server sends the emails in this language.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'language' );
+
+Tracker.autorun(() => {
+    const language = pwixI18n.language();
+    if( Meteor.userId() && language ){
+        Meteor.callAsync( 'app_accounts_language', language )
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,45 @@
+/*
+ * /imports/client/init/maintenance.js
+ *
+ * While the maintenance mode is on, display the maintenance page over the application to the users who are not exempt from it.
+ * A non-exempt user may ask to log in as an administrator: the user is then logged out, and the page is hidden until the end of the
+ * maintenance so that the login dialog can be used; the logins of the other users being refused by the server.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Blaze } from 'meteor/blaze';
+import { ReactiveVar } from 'meteor/reactive-var';
+import { Tracker } from 'meteor/tracker';
+
+import { Maintenance } from '/imports/common/collections/maintenance/index.js';
+
+// whether the user has asked to log in as an administrator
+const bypass = new ReactiveVar( false );
+
+// the rendered overlay view, if any
+let view = null;
+
+Meteor.startup(() => {
+    Tracker.autorun(() => {
+        const status = Maintenance.collection().findOne({ _id: Maintenance.C.docId });
+        if( !status?.enabled ){
+            bypass.set( false );
+        }
+        const show = Boolean( status?.enabled && !status.exempt && !bypass.get());
+        if( view ){
+            Blaze.remove( view );
+            view = null;
+        }
+        if( show ){
+            view = Blaze.renderWithData( Template.maintenance_overlay, {
+                message: status.message,
+                onAdmin(){
+                    Meteor.logout();
+                    bypass.set( true );
+                }
+            }, document.body );
+        }
+    });
+});
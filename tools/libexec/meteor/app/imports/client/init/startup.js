@@ -5,7 +5,10 @@
 import _ from 'lodash';
 import { strict as assert } from 'node:assert';
 
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'startup' );
+
 Meteor.startup(() => {
-    console.debug( '/imports/client/init/startup.js' );
-    console.log( 'Meteor.startup(): public.runtime.env=\''+Meteor.settings.public.runtime.env+'\'' );
+    logger.info( 'public.runtime.env=\''+Meteor.settings.public.runtime.env+'\'' );
 });
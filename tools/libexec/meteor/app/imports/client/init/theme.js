@@ -0,0 +1,16 @@
+/*
+ * /imports/client/init/theme.js
+ *
+ * Let the Bootstrap components follow the dark color theme, by setting the 'data-bs-theme' attribute of the document.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Tracker } from 'meteor/tracker';
+
+Tracker.autorun(() => {
+    const page = Meteor.APP.runContext.iAppPageableCurrent();
+    const dark = Meteor.APP.runContext.colorTheme( page ) === Meteor.APP.C.colorThemeDark;
+    document.documentElement.setAttribute( 'data-bs-theme', dark ? 'dark' : 'light' );
+});
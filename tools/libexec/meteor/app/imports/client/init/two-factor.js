@@ -0,0 +1,33 @@
+/*
+ * /imports/client/init/two-factor.js
+ *
+ * When the two-factor authentication is mandatory for the connected user, and the user has not enrolled yet, ask for the enrollment.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Modal } from 'meteor/pwix:modal';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'two-factor' );
+
+Tracker.autorun(() => {
+    if( Meteor.userId()){
+        Meteor.callAsync( 'app_accounts_twofactor_status' )
+            .then(( status ) => {
+                if( status && status.required && !status.enabled ){
+                    Modal.run({
+                        mdBody: 'two_factor_enroll',
+                        mdTitle: pwixI18n.label( I18N, 'accounts.twofactor.enroll_title' )
+                    });
+                }
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,169 @@
+/*
+ * /imports/common/classes/i18n-checker.class.js
+ *
+ * Check the completeness of the translations of the application.
+ *
+ * The translations are an object keyed by language, each language holding a tree of strings (see /imports/common/i18n/).
+ * The first language of the list is the reference: each other language is expected to define exactly the same keys.
+ *
+ * The keys referenced by the sources are collected with regular expressions, which only recognize literal keys of our namespace:
+ *  - {{ i18n key="a.b" }} in the templates
+ *  - pwixI18n.label( I18N, 'a.b' ) in the code
+ *  - { namespace: I18N, i18n: 'a.b' } in the display units definitions.
+ * Keys which are computed at runtime, e.g. 'accounts.history.action_'+action, cannot be checked this way.
+ *
+ * This class doesn't depend on Meteor so that it can be unit tested.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export class I18nChecker {
+
+    // static data
+
+    // the regular expressions which find the referenced keys, the key being the 'key' group
+    static Patterns = [
+        /\{\{\s*i18n\s+key=(["'])(?<key>[\w.]+)\1/g,
+        /pwixI18n\.label\(\s*I18N\s*,\s*(["'])(?<key>[\w.]+)\1\s*[,)]/g,
+        /namespace:\s*I18N\s*,\s*i18n:\s*(["'])(?<key>[\w.]+)\1/g
+    ];
+
+    // static methods
+
+    /**
+     * @param {Object} tree a translations tree
+     * @param {String} prefix the prefix of the keys, used when recursing
+     * @returns {Array<String>} the sorted list of the dotted keys of the tree leaves
+     */
+    static flatten( tree, prefix='' ){
+        let keys = [];
+        Object.keys( tree || {} ).forEach(( it ) => {
+            const key = prefix ? prefix+'.'+it : it;
+            if( _.isPlainObject( tree[it] )){
+                keys = keys.concat( I18nChecker.flatten( tree[it], key ));
+            } else {
+                keys.push( key );
+            }
+        });
+        return prefix ? keys : keys.sort();
+    }
+
+    /**
+     * @param {String} content the content of a source file
+     * @param {String} path the path of the source file
+     * @returns {Array<Object>} the referenced keys, as { key, path, line } objects
+     *  Comment lines, i.e. lines which start with '//', '/*' or '*', are ignored.
+     */
+    static references( content, path ){
+        let refs = [];
+        content.split( '\n' ).forEach(( text, i ) => {
+            if( /^(\/\/|\/\*|\*)/.test( text.trim())){
+                return;
+            }
+            I18nChecker.Patterns.forEach(( re ) => {
+                for( const m of text.matchAll( re )){
+                    refs.push({ key: m.groups.key, path: path, line: i+1 });
+                }
+            });
+        });
+        return refs;
+    }
+
+    // private data
+
+    #languages = null;
+    #keys = null;
+
+    // private methods
+
+    // returns the managed language which translates the given language, or null
+    #language( language ){
+        if( !language ){
+            return null;
+        }
+        if( this.#keys[language] ){
+            return language;
+        }
+        const short = language.split( '-' )[0];
+        return this.#keys[short] ? short : null;
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {Object} translations the translations, keyed by language
+     * @param {Array<String>} languages the managed languages, the first one being the reference
+     * @returns {I18nChecker} this instance
+     */
+    constructor( translations, languages ){
+        assert.ok( _.isPlainObject( translations ), 'I18nChecker() expects a translations object' );
+        assert.ok( Array.isArray( languages ) && languages.length, 'I18nChecker() expects a non-empty array of languages' );
+        this.#languages = [ ...languages ];
+        this.#keys = {};
+        this.#languages.forEach(( it ) => {
+            this.#keys[it] = new Set( I18nChecker.flatten( translations[it] ));
+        });
+        return this;
+    }
+
+    /**
+     * @returns {Object} the differences of each language with the reference language, as { <language>: { missing, extra } },
+     *  where 'missing' and 'extra' are sorted arrays of keys; the reference language itself is not listed
+     */
+    compare(){
+        const reference = this.#keys[this.#languages[0]];
+        let res = {};
+        this.#languages.slice( 1 ).forEach(( it ) => {
+            const keys = this.#keys[it];
+            res[it] = {
+                missing: [ ...reference ].filter(( key ) => !keys.has( key )).sort(),
+                extra: [ ...keys ].filter(( key ) => !reference.has( key )).sort()
+            };
+        });
+        return res;
+    }
+
+    /**
+     * @param {String} language
+     * @param {String} key a dotted key
+     * @returns {String} how the key is translated in the language:
+     *  - 'defined' when the language defines the key
+     *  - 'fallback' when another managed language defines it
+     *  - 'undefined' when no managed language defines it, so that the raw key would be displayed
+     */
+    resolve( language, key ){
+        const lang = this.#language( language );
+        if( lang && this.#keys[lang].has( key )){
+            return 'defined';
+        }
+        return this.#languages.some(( it ) => this.#keys[it].has( key )) ? 'fallback' : 'undefined';
+    }
+
+    /**
+     * @param {Array<Object>} refs the referenced keys, as returned by I18nChecker.references()
+     * @returns {Array<Object>} the references whose key is not defined by the reference language
+     */
+    undefinedKeys( refs ){
+        const reference = this.#keys[this.#languages[0]];
+        return refs.filter(( it ) => !reference.has( it.key ));
+    }
+
+    /**
+     * @param {Array<Object>} refs the referenced keys, as returned by I18nChecker.references(), defaulting to none
+     * @returns {Array<String>} the report as a list of lines, empty when the translations are complete
+     */
+    report( refs=[] ){
+        let lines = [];
+        const diffs = this.compare();
+        Object.keys( diffs ).forEach(( it ) => {
+            diffs[it].missing.forEach(( key ) => { lines.push( it+': missing key \''+key+'\'' ); });
+            diffs[it].extra.forEach(( key ) => { lines.push( it+': extra key \''+key+'\'' ); });
+        });
+        this.undefinedKeys( refs ).forEach(( it ) => {
+            lines.push( it.path+':'+it.line+': undefined key \''+it.key+'\'' );
+        });
+        return lines;
+    }
+}
@@ -0,0 +1,217 @@
+/*
+ * /imports/common/classes/logger.class.js
+ *
+ * A leveled logger with per-module namespaces.
+ *
+ * Each record is formatted either:
+ *  - 'ttp': as a TTP log line, i.e. '<timestamp> <host> <pid> <username> [<application> <namespace>] <marker><message>'
+ *  - 'json': as a one-line JSON object with time, level, application, namespace, host, pid, username and message keys.
+ *
+ * Formatted records are written to the sinks, which default to the console. The server adds a log file sink.
+ *
+ * Usage:
+ *  const logger = Logger.get( 'jobs' );
+ *  logger.info( 'starting', name );
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export class Logger {
+
+    // static data
+
+    // the levels, from the most to the least important, with their TTP marker and console method
+    static Levels = {
+        error: { value: 0, marker: '(ERR) ', console: 'error' },
+        warn: { value: 1, marker: '(WAR) ', console: 'warn' },
+        info: { value: 2, marker: '', console: 'log' },
+        verbose: { value: 3, marker: '(VER) ', console: 'log' },
+        debug: { value: 4, marker: '(DBG) ', console: 'debug' }
+    };
+
+    static Formats = [ 'json', 'ttp' ];
+
+    // the current configuration
+    static #conf = {
+        level: 'info',
+        format: 'ttp',
+        namespaces: {}
+    };
+
+    // the identification of the running process, set by the server
+    static #context = {
+        application: '-',
+        host: '-',
+        pid: '-',
+        username: '-'
+    };
+
+    // the instanciated loggers, keyed by namespace
+    static #loggers = {};
+
+    // the sinks, as functions( line, record )
+    static #sinks = [
+        ( line, record ) => {
+            console[Logger.Levels[record.level].console]( line );
+        }
+    ];
+
+    // static methods
+
+    /**
+     * @param {Function} fn a ( line, record ) function which receives each formatted record
+     */
+    static addSink( fn ){
+        assert.ok( _.isFunction( fn ), 'Logger.addSink() expects a function' );
+        Logger.#sinks.push( fn );
+    }
+
+    /**
+     * @summary Configure the loggers, unknown levels and formats being ignored
+     * @param {Object} conf an object with following optional keys:
+     *  - level: the default level
+     *  - format: the output format
+     *  - namespaces: a namespace -> level object
+     * @returns {Object} the current configuration
+     */
+    static configure( conf ){
+        if( conf ){
+            if( Logger.Levels[conf.level] ){
+                Logger.#conf.level = conf.level;
+            }
+            if( Logger.Formats.includes( conf.format )){
+                Logger.#conf.format = conf.format;
+            }
+            if( _.isPlainObject( conf.namespaces )){
+                Logger.#conf.namespaces = _.pickBy( conf.namespaces, ( it ) => Boolean( Logger.Levels[it] ));
+            }
+        }
+        return Logger.#conf;
+    }
+
+    /**
+     * @param {Object} o the identification of the running process, with application, host, pid and username keys
+     */
+    static context( o ){
+        Logger.#context = { ...Logger.#context, ..._.pick( o, Object.keys( Logger.#context )) };
+    }
+
+    /**
+     * @param {Object} record a { time, level, namespace, message } record
+     * @returns {String} the formatted record
+     */
+    static format( record ){
+        const c = Logger.#context;
+        if( Logger.#conf.format === 'json' ){
+            return JSON.stringify({ time: record.time.toISOString(), level: record.level, application: c.application, namespace: record.namespace, host: c.host, pid: c.pid, username: c.username, message: record.message });
+        }
+        return Logger.timestamp( record.time )+' '+c.host+' '+c.pid+' '+c.username+' ['+c.application+' '+record.namespace+'] '+Logger.Levels[record.level].marker+record.message;
+    }
+
+    /**
+     * @param {String} namespace the namespace of the logger, usually the module name
+     * @returns {Logger} the logger of the namespace
+     */
+    static get( namespace ){
+        assert.ok( _.isString( namespace ) && namespace.length, 'Logger.get() expects a namespace' );
+        if( !Logger.#loggers[namespace] ){
+            Logger.#loggers[namespace] = new Logger( namespace );
+        }
+        return Logger.#loggers[namespace];
+    }
+
+    /**
+     * @param {Array} args the arguments of a log call
+     * @returns {String} the message
+     */
+    static message( args ){
+        return args.map(( it ) => {
+            if( _.isString( it )){
+                return it;
+            }
+            if( it instanceof Error ){
+                return it.stack || it.message;
+            }
+            try {
+                return JSON.stringify( it );
+            } catch( e ){
+                return String( it );
+            }
+        }).join( ' ' );
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {String} the date as a TTP 'YYYY-MM-DD HH:MM:SS.ffffff +HH:MM' local timestamp
+     */
+    static timestamp( date ){
+        const pad = ( n, l=2 ) => String( n ).padStart( l, '0' );
+        const offset = -date.getTimezoneOffset();
+        const abs = Math.abs( offset );
+        return date.getFullYear()+'-'+pad( date.getMonth()+1 )+'-'+pad( date.getDate())
+            +' '+pad( date.getHours())+':'+pad( date.getMinutes())+':'+pad( date.getSeconds())+'.'+pad( date.getMilliseconds()*1000, 6 )
+            +' '+( offset < 0 ? '-' : '+' )+pad( Math.floor( abs/60 ))+':'+pad( abs%60 );
+    }
+
+    // private data
+
+    #namespace = null;
+
+    // private methods
+
+    #log( level, args ){
+        if( this.enabled( level )){
+            const record = { time: new Date(), level: level, namespace: this.#namespace, message: Logger.message( args ) };
+            const line = Logger.format( record );
+            Logger.#sinks.forEach(( fn ) => {
+                try {
+                    fn( line, record );
+                } catch( e ){
+                    console.error( 'Logger sink', e );
+                }
+            });
+        }
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {String} namespace
+     * @returns {Logger} this instance
+     */
+    constructor( namespace ){
+        this.#namespace = namespace;
+        return this;
+    }
+
+    /**
+     * @param {String} level
+     * @returns {Boolean} whether the level is logged for this namespace
+     */
+    enabled( level ){
+        const current = Logger.#conf.namespaces[this.#namespace] || Logger.#conf.level;
+        return Logger.Levels[level].value <= Logger.Levels[current].value;
+    }
+
+    debug( ...args ){
+        this.#log( 'debug', args );
+    }
+
+    error( ...args ){
+        this.#log( 'error', args );
+    }
+
+    info( ...args ){
+        this.#log( 'info', args );
+    }
+
+    verbose( ...args ){
+        this.#log( 'verbose', args );
+    }
+
+    warn( ...args ){
+        this.#log( 'warn', args );
+    }
+}
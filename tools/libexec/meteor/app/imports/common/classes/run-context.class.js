@@ -1,5 +1,14 @@
 /*
  * /imports/common/classes/run-context.class.js
+ *
+ * The client run context resolves the color and layout themes, honoring the user preferences.
+ *
+ * It also holds the tenant the connected user works in:
+ * - the tenants of the user are loaded at login, and the last selected one is restored
+ * - the current record of the tenant is the one effective at the chosen date, defaulting to today.
+ *
+ * Publications of the tenant data should follow the selection, e.g.:
+ *  self.autorun(() => { self.subscribe( 'things.tenant', Meteor.APP.runContext.entityId()); });
  */
 
 import _ from 'lodash';
@@ -7,6 +16,12 @@ import { strict as assert } from 'node:assert';
 
 import { AppPages } from 'meteor/pwix:app-pages';
 import { ReactiveVar } from 'meteor/reactive-var';
+import { Tracker } from 'meteor/tracker';
+import { Validity } from 'meteor/pwix:validity';
+
+import { Logger } from './logger.class.js';
+
+const logger = Logger.get( 'run-context' );
 
 export class RunContext extends AppPages.RunContext {
 
@@ -14,14 +29,55 @@ export class RunContext extends AppPages.RunContext {
 
     // static methods
 
+    /**
+     * @param {Array<Object>} records the validity records of an entity
+     * @param {Date} date the date at which the record must be effective
+     * @returns {Object} the record effective at the date, or null
+     *  The record is resolved by Validity itself, so that the run context honors the same validity bounds as the package.
+     */
+    static effectiveRecord( records, date ){
+        return Validity.atDateByRecords( records || [], date ) || null;
+    }
+
+    /**
+     * @returns {Object} the names of the validity fields, as configured in Validity, as { startField, endField }
+     */
+    static validityFields(){
+        const conf = Validity.configure() || {};
+        return {
+            startField: conf.effectStart || 'effectStart',
+            endField: conf.effectEnd || 'effectEnd'
+        };
+    }
+
     // private data
 
     // the current organization and validity period
     #entity = new ReactiveVar( null );
     #record = new ReactiveVar( null );
 
+    // the tenants of the connected user, as [{ entity, records }]
+    #tenants = new ReactiveVar( [] );
+    // the date at which the current record is effective
+    #date = new ReactiveVar( new Date());
+
+    // whether the operating system prefers a dark color scheme
+    #systemDark = new ReactiveVar( false );
+
     // private methods
 
+    // returns the theme chosen by the user if it is still available, else null
+    #preference( name, available ){
+        const theme = Meteor.user()?.uiPreferences?.[name];
+        return theme && ( available.includes( theme ) || ( name === 'colorTheme' && theme === Meteor.APP.C.colorThemeAuto )) ? theme : null;
+    }
+
+    // select the entity without recording it
+    #select( entityId ){
+        const found = this.#tenants.get().find(( it ) => it.entity._id === entityId );
+        this.#entity.set( found ? found.entity : null );
+    }
+
     // public data
 
     /**
@@ -33,21 +89,139 @@ export class RunContext extends AppPages.RunContext {
         super( ...arguments );
         const self = this;
 
+        if( Meteor.isClient ){
+            // follow the color scheme of the operating system
+            const media = window.matchMedia ? window.matchMedia( '(prefers-color-scheme: dark)' ) : null;
+            if( media ){
+                self.#systemDark.set( media.matches );
+                media.addEventListener( 'change', ( event ) => {
+                    self.#systemDark.set( event.matches );
+                });
+            }
+
+            // (re)load the tenants on login and logout
+            Tracker.autorun(() => {
+                if( Meteor.userId()){
+                    self.tenantsReload();
+                } else {
+                    self.#tenants.set( [] );
+                    self.#entity.set( null );
+                }
+            });
+
+            // resolve the record effective at the chosen date
+            Tracker.autorun(() => {
+                const entity = self.#entity.get();
+                const found = entity ? self.#tenants.get().find(( it ) => it.entity._id === entity._id ) : null;
+                self.#record.set( found ? RunContext.effectiveRecord( found.records, self.#date.get()) : null );
+            });
+        }
+
         return this;
     }
 
+    /**
+     * @summary Resolve the color theme, from the user preferences, else from the page, else from the application defaults
+     * @param {AppPageable} page the current page, if any
+     * @returns {String} the color theme class
+     */
+    colorTheme( page=null ){
+        let theme = this.#preference( 'colorTheme', Meteor.APP.C.colorThemes ) || ( page ? page.get( 'colorTheme' ) : null ) || Meteor.APP.C.colorTheme;
+        if( theme === Meteor.APP.C.colorThemeAuto ){
+            theme = this.#systemDark.get() ? Meteor.APP.C.colorThemeDark : Meteor.APP.C.colorThemeLight;
+        }
+        return theme;
+    }
+
+    /**
+     * @returns {Object} the currently selected tenant entity, or null
+     */
+    entity(){
+        return this.#entity.get();
+    }
+
+    /**
+     * @returns {String} the identifier of the currently selected tenant entity, or null
+     */
+    entityId(){
+        return this.#entity.get()?._id || null;
+    }
+
+    /**
+     * @summary Select the tenant the user works in, and record it as the last selection of the user
+     * @param {String} entityId the identifier of the tenant entity, or null to clear the selection
+     */
+    async entitySet( entityId ){
+        this.#select( entityId );
+        await Meteor.callAsync( 'app_tenants_select', this.entityId());
+    }
+
+    /**
+     * @returns {Object} the record of the selected tenant which is effective at the chosen date, or null
+     */
+    record(){
+        return this.#record.get();
+    }
+
+    /**
+     * @returns {Date} the date at which the current record is effective
+     */
+    recordDate(){
+        return this.#date.get();
+    }
+
+    /**
+     * @param {Date} date the date at which the current record must be effective
+     */
+    recordDateSet( date ){
+        assert.ok( date instanceof Date && !isNaN( date.getTime()), 'RunContext.recordDateSet() expects a valid date' );
+        this.#date.set( date );
+    }
+
+    /**
+     * @returns {Array<Object>} the tenants of the connected user, as { entity, records } objects
+     */
+    tenants(){
+        return this.#tenants.get();
+    }
+
+    /**
+     * @summary Reload the tenants of the connected user, keeping the current selection if still allowed,
+     *  else restoring the last selection, else selecting the tenant if the user has only one
+     */
+    async tenantsReload(){
+        try {
+            const res = await Meteor.callAsync( 'app_tenants_list' );
+            this.#tenants.set( res.tenants );
+            const ids = res.tenants.map(( it ) => it.entity._id );
+            const current = Tracker.nonreactive(() => this.entityId());
+            this.#select( ids.includes( current ) ? current : ( ids.includes( res.last ) ? res.last : ( ids.length === 1 ? ids[0] : null )));
+        } catch( e ){
+            logger.error( e );
+            this.#tenants.set( [] );
+            this.#entity.set( null );
+        }
+    }
+
+    /**
+     * @summary Resolve the layout theme, from the user preferences, else from the page, else from the application defaults
+     * @param {AppPageable} page the current page, if any
+     * @returns {String} the layout theme class
+     */
+    layoutTheme( page=null ){
+        return this.#preference( 'layoutTheme', Meteor.APP.C.layoutThemes ) || ( page ? page.get( 'layoutTheme' ) : null ) || Meteor.APP.C.layoutTheme;
+    }
+
     /**
      * @summary Return the classes to be provided to other display units than the current page
-     *  This may come from the application defaults, from the page itself, or from the user preferences
+     *  This may come from the application defaults, from the page itself, or from the user preferences, the latter having the precedence
      * @returns {Array} the list of color and layout themes
      */
     pageUIClasses(){
         const page = this.iAppPageableCurrent();
-        const colorTheme = page ? page.get( 'colorTheme' ) || Meteor.APP.C.colorTheme : Meteor.APP.C.colorTheme;
-        const layoutTheme = page ? page.get( 'layoutTheme' ) || Meteor.APP.C.layoutTheme : Meteor.APP.C.layoutTheme;
         let classesArray = [];
-        classesArray.push( colorTheme );
-        classesArray.push( layoutTheme );
+        classesArray.push( this.colorTheme( page ));
+        classesArray.push( this.layoutTheme( page ));
         return classesArray;
     }
 }
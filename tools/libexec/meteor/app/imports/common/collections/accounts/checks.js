@@ -4,8 +4,11 @@
 
 import _ from 'lodash';
 import { strict as assert } from 'node:assert';
+import validator from 'email-validator';
 
+import { pwixI18n } from 'meteor/pwix:i18n';
 import { ReactiveVar } from 'meteor/reactive-var';
+import { TM } from 'meteor/pwix:typed-message';
 
 import { Accounts } from './index.js';
 
@@ -38,12 +41,125 @@ const _id2index = function( array, id ){
 
 Accounts.checks = {
     // apiAllowed
-    async apiAllowed( value, data, opts ){
-        _assert_data_itemrv( 'Accounts.checks.apiAllowed()', data );
-        const item = data.item.get();
+    async apiAllowed( value, data, opts={} ){
         if( opts.update !== false ){
+            _assert_data_itemrv( 'Accounts.checks.apiAllowed()', data );
+            const item = data.item.get();
             item.apiAllowed = value;
         }
+        if( value !== undefined && value !== null && !_.isBoolean( value )){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.boolean_invalid', 'apiAllowed' )
+            });
+        }
+        return null;
+    },
+
+    // the expiration date of an API key, optional, must be in the future
+    //  opts.id is the identifier of the key in the apiKeys array
+    async apiKeyExpireAt( value, data, opts={} ){
+        if( opts.update !== false ){
+            _assert_data_itemrv( 'Accounts.checks.apiKeyExpireAt()', data );
+            const item = data.item.get();
+            const index = _id2index( item.apiKeys || [], opts.id );
+            if( index >= 0 ){
+                item.apiKeys[index].expireAt = value || null;
+            }
+        }
+        if( value ){
+            const date = new Date( value );
+            if( isNaN( date.getTime())){
+                return new TM.TypedMessage({
+                    level: TM.MessageLevel.C.ERROR,
+                    message: pwixI18n.label( I18N, 'accounts.check.apikey_expire_invalid' )
+                });
+            }
+            if( date <= new Date()){
+                return new TM.TypedMessage({
+                    level: TM.MessageLevel.C.ERROR,
+                    message: pwixI18n.label( I18N, 'accounts.check.apikey_expire_past' )
+                });
+            }
+        }
+        return null;
+    },
+
+    // the label of an API key, mandatory
+    //  opts.id is the identifier of the key in the apiKeys array
+    async apiKeyLabel( value, data, opts={} ){
+        if( opts.update !== false ){
+            _assert_data_itemrv( 'Accounts.checks.apiKeyLabel()', data );
+            const item = data.item.get();
+            const index = _id2index( item.apiKeys || [], opts.id );
+            if( index >= 0 ){
+                item.apiKeys[index].label = value;
+            }
+        }
+        if( !value || !value.trim()){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.apikey_label_unset' )
+            });
+        }
+        if( value.length > Accounts.C.apiKeyLabelMaxLength ){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.apikey_label_long', Accounts.C.apiKeyLabelMaxLength )
+            });
+        }
+        return null;
+    },
+
+    // an email address when importing accounts, mandatory
+    async importEmail( value, data, opts={} ){
+        if( !value ){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.email_unset' )
+            });
+        }
+        if( !validator.validate( value )){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.email_invalid', value )
+            });
+        }
+        return null;
+    },
+
+    // the list of roles when importing accounts, as 'ROLE' or 'ROLE@scope' strings
+    async importRoles( value, data, opts={} ){
+        for( const it of value || [] ){
+            if( !_.isString( it ) || !/^[A-Z_][A-Z0-9_]*(@\S+)?$/.test( it )){
+                return new TM.TypedMessage({
+                    level: TM.MessageLevel.C.ERROR,
+                    message: pwixI18n.label( I18N, 'accounts.check.role_invalid', String( it ))
+                });
+            }
+        }
+        return null;
+    },
+
+    // a username when importing accounts, optional
+    async importUsername( value, data, opts={} ){
+        if( value && !/^[a-zA-Z0-9_.@-]+$/.test( value )){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.username_invalid', value )
+            });
+        }
+        return null;
+    },
+
+    // loginAllowed, when importing accounts
+    async loginAllowed( value, data, opts={} ){
+        if( value !== undefined && value !== null && !_.isBoolean( value )){
+            return new TM.TypedMessage({
+                level: TM.MessageLevel.C.ERROR,
+                message: pwixI18n.label( I18N, 'accounts.check.boolean_invalid', 'loginAllowed' )
+            });
+        }
         return null;
     }
 };
@@ -6,4 +6,8 @@ import _ from 'lodash';
 import { strict as assert } from 'node:assert';
 
 export const Accounts = {
+    C: {
+        // the max length of an API key label
+        apiKeyLabelMaxLength: 64
+    }
 };
@@ -0,0 +1,150 @@
+/*
+ * /import/common/collections/accounts/import-export.js
+ *
+ * The CSV and JSON formats of the accounts import and export.
+ *
+ * Each account is a row with following columns:
+ *  - email: the first email address
+ *  - username
+ *  - roles: a list of 'ROLE' or 'ROLE@scope' strings, separated by ';' in CSV
+ *  - apiAllowed: true|false
+ *  - loginAllowed: true|false
+ *  - adminNotes
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts } from './collection.js';
+
+// a CSV value, quoted if needed
+const _csvValue = function( value ){
+    const str = value === null || value === undefined ? '' : String( value );
+    return /[",;\r\n]/.test( str ) ? '"'+str.replace( /"/g, '""' )+'"' : str;
+};
+
+// parse a CSV text into an array of arrays of strings, honoring quoted values
+const _csvParse = function( text ){
+    let rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    for( let i=0 ; i<text.length ; ++i ){
+        const c = text[i];
+        if( quoted ){
+            if( c === '"' && text[i+1] === '"' ){
+                value += '"';
+                i += 1;
+            } else if( c === '"' ){
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if( c === '"' ){
+            quoted = true;
+        } else if( c === ',' ){
+            row.push( value );
+            value = '';
+        } else if( c === '\n' || c === '\r' ){
+            if( c === '\r' && text[i+1] === '\n' ){
+                i += 1;
+            }
+            row.push( value );
+            rows.push( row );
+            row = [];
+            value = '';
+        } else {
+            value += c;
+        }
+    }
+    if( value.length || row.length ){
+        row.push( value );
+        rows.push( row );
+    }
+    return rows.filter(( it ) => it.some(( v ) => v.length ));
+};
+
+// a boolean from a CSV or JSON value, keeping unrecognized values as-is so that they are reported by the checks
+const _bool = function( value ){
+    if( value === '' || value === undefined || value === null ){
+        return undefined;
+    }
+    if( _.isBoolean( value )){
+        return value;
+    }
+    const str = String( value ).toLowerCase();
+    return [ 'true', '1', 'yes' ].includes( str ) ? true : ( [ 'false', '0', 'no' ].includes( str ) ? false : value );
+};
+
+// normalize a row, throwing when a value has not the expected type
+//  line is the row number, counted from 1
+const _row = function( o, line ){
+    assert.ok( _.isPlainObject( o ), 'row '+line+': expects an object' );
+    [ 'email', 'username', 'adminNotes' ].forEach(( key ) => {
+        assert.ok( _.isNil( o[key] ) || _.isString( o[key] ), 'row '+line+': \''+key+'\' expects a string' );
+    });
+    assert.ok( _.isNil( o.roles ) || _.isString( o.roles ) || ( Array.isArray( o.roles ) && o.roles.every( _.isString )),
+        'row '+line+': \'roles\' expects a string or an array of strings' );
+    let roles = o.roles || [];
+    if( _.isString( roles )){
+        roles = roles.split( ';' ).map(( it ) => it.trim()).filter(( it ) => it.length );
+    }
+    return {
+        email: ( o.email || '' ).trim(),
+        username: ( o.username || '' ).trim() || undefined,
+        roles: roles,
+        apiAllowed: _bool( o.apiAllowed ),
+        loginAllowed: _bool( o.loginAllowed ),
+        adminNotes: o.adminNotes || undefined
+    };
+};
+
+Accounts.importExport = {
+    Columns: [ 'email', 'username', 'roles', 'apiAllowed', 'loginAllowed', 'adminNotes' ],
+
+    /**
+     * @param {String} text the CSV content, with a header line
+     * @returns {Array<Object>} the normalized rows
+     * @throws {Error} when a row is invalid
+     */
+    fromCsv( text ){
+        const lines = _csvParse( text );
+        const header = ( lines.shift() || [] ).map(( it ) => it.trim());
+        return lines.map(( values, n ) => {
+            let o = {};
+            header.forEach(( key, i ) => { o[key] = values[i]; });
+            return _row( o, n+1 );
+        });
+    },
+
+    /**
+     * @param {String} text the JSON content, an array of objects
+     * @returns {Array<Object>} the normalized rows
+     * @throws {Error} when the content is not an array, or when a row is invalid
+     */
+    fromJson( text ){
+        const json = JSON.parse( text );
+        assert.ok( Array.isArray( json ), 'Accounts.importExport.fromJson() expects an array' );
+        return json.map(( it, i ) => _row( it, i+1 ));
+    },
+
+    /**
+     * @param {Array<Object>} rows
+     * @returns {String} the CSV content, with a header line
+     */
+    toCsv( rows ){
+        const lines = [ this.Columns.join( ',' ) ];
+        rows.forEach(( it ) => {
+            lines.push( this.Columns.map(( key ) => _csvValue( key === 'roles' ? ( it.roles || [] ).join( ';' ) : it[key] )).join( ',' ));
+        });
+        return lines.join( '\n' )+'\n';
+    },
+
+    /**
+     * @param {Array<Object>} rows
+     * @returns {String} the JSON content
+     */
+    toJson( rows ){
+        return JSON.stringify( rows.map(( it ) => _.pick( it, this.Columns )), null, 2 );
+    }
+};
@@ -10,3 +10,5 @@ import { strict as assert } from 'node:assert';
 export { Accounts } from './collection.js';
 
 import './checks.js';
+import './import-export.js';
+import './two-factor.js';
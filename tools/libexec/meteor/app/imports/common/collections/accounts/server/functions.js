@@ -0,0 +1,228 @@
+/*
+ * /import/common/collections/accounts/server/functions.js
+ *
+ * Server-only accounts functions, mainly used by the REST API.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import crypto from 'node:crypto';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { Random } from 'meteor/random';
+
+import { Accounts } from '../index.js';
+
+Accounts.s = {
+    ...Accounts.s,
+    ...{
+        /**
+         * @summary Authenticate a REST request against the accounts collection
+         *  Honors:
+         *  - 'Authorization: Basic <base64(login:password)>' where login is either an email address or a username
+         *  - 'Authorization: Bearer <token>' where token is either an API key of the account, or a Meteor login token
+         * @param {Object} req the incoming HTTP request
+         * @returns {Object} an object with following keys:
+         *  - user: the authenticated user document, or null
+         *  - status: when not authenticated, the HTTP status code to be returned
+         *  - error: when not authenticated, a reason message
+         *  Accounts disabled by the accounts manager (loginAllowed === false) are refused whatever the authentication scheme.
+         *  Accounts which have enabled, or are required to enable, the two-factor authentication must use an API key: the password
+         *  is refused, and so are the login tokens until the account has enrolled.
+         */
+        async apiAuthenticate( req ){
+            const authorization = req.headers?.authorization || '';
+            const words = authorization.split( /\s+/ );
+            const scheme = ( words[0] || '' ).toLowerCase();
+            const credentials = words[1] || '';
+            let user = null;
+            let byKey = false;
+            if( scheme === 'basic' ){
+                user = await Accounts.s.apiByPassword( credentials, ( req.ip || req.socket?.remoteAddress || '' ).replace( /^::ffff:/, '' ) || null );
+            } else if( scheme === 'bearer' ){
+                user = await Accounts.s.apiByKey( credentials );
+                byKey = Boolean( user );
+                user = user || await Accounts.s.apiByToken( credentials );
+            } else {
+                return { user: null, status: 401, error: 'authentication required' };
+            }
+            if( !user ){
+                return { user: null, status: 401, error: 'invalid credentials' };
+            }
+            if( user.loginAllowed === false ){
+                return { user: null, status: 403, error: 'account is disabled' };
+            }
+            if( !byKey ){
+                const twoFactor = await Accounts.s.twoFactorStatus( user._id );
+                if( scheme === 'basic' && ( twoFactor.enabled || twoFactor.required )){
+                    return { user: null, status: 403, error: 'two-factor authentication is enabled, use an API key' };
+                }
+                if( twoFactor.required && !twoFactor.enabled ){
+                    return { user: null, status: 403, error: 'two-factor authentication must be enabled first' };
+                }
+            }
+            if( user.apiAllowed !== true ){
+                return { user: null, status: 403, error: 'REST API is not allowed for this account' };
+            }
+            return { user: user };
+        },
+
+        /**
+         * @param {String} key an API key as '<keyId>.<secret>'
+         * @returns {Object} the identified user document, or null
+         */
+        async apiByKey( key ){
+            const index = key ? key.indexOf( '.' ) : -1;
+            if( index <= 0 ){
+                return null;
+            }
+            const id = key.substring( 0, index );
+            const hash = Accounts.s.apiKeyHash( key.substring( index+1 ));
+            const user = await Meteor.users.findOneAsync({ 'apiKeys.id': id });
+            if( !user ){
+                return null;
+            }
+            const found = user.apiKeys.find(( it ) => it.id === id );
+            if( !found || found.revokedAt || ( found.expireAt && found.expireAt <= new Date())){
+                return null;
+            }
+            if( !crypto.timingSafeEqual( Buffer.from( found.hash, 'hex' ), Buffer.from( hash, 'hex' ))){
+                return null;
+            }
+            await Meteor.users.updateAsync({ _id: user._id, 'apiKeys.id': id }, { $set: { 'apiKeys.$.lastUsedAt': new Date() }});
+            return user;
+        },
+
+        /**
+         * @param {String} credentials the base64-encoded 'login:password' string
+         * @param {String} clientAddress the address of the client, if known
+         * @returns {Object} the identified user document, or null
+         *  As for the interactive logins, failed passwords are counted towards the lockout of the account, and locked accounts are refused.
+         */
+        async apiByPassword( credentials, clientAddress=null ){
+            const decoded = Buffer.from( credentials, 'base64' ).toString( 'utf8' );
+            const index = decoded.indexOf( ':' );
+            if( index <= 0 ){
+                return null;
+            }
+            const login = decoded.substring( 0, index );
+            const password = decoded.substring( index+1 );
+            const user = await Meteor.users.findOneAsync({ $or: [{ 'emails.address': login }, { username: login }]});
+            if( !user || Accounts.s.lockoutIsLocked( user )){
+                return null;
+            }
+            const res = await MeteorAccounts._checkPasswordAsync( user, password );
+            if( res.error ){
+                await Accounts.s.lockoutFailure( user._id, clientAddress );
+                return null;
+            }
+            await Accounts.s.lockoutReset( user._id );
+            return user;
+        },
+
+        /**
+         * @param {String} token a Meteor login token
+         * @returns {Object} the identified user document, or null
+         */
+        async apiByToken( token ){
+            if( !token ){
+                return null;
+            }
+            const hashedToken = MeteorAccounts._hashLoginToken( token );
+            const user = await Meteor.users.findOneAsync({ 'services.resume.loginTokens.hashedToken': hashedToken });
+            if( !user ){
+                return null;
+            }
+            const found = user.services.resume.loginTokens.find(( it ) => it.hashedToken === hashedToken );
+            if( !found || MeteorAccounts._tokenExpiration( found.when ) < new Date()){
+                return null;
+            }
+            return user;
+        },
+
+        /**
+         * @summary Generate a new API key for the account
+         *  Only the hash of the key is stored: the key itself is returned once to the caller, and cannot be retrieved later.
+         * @param {String} accountId
+         * @param {Object} o an object with following keys:
+         *  - label: mandatory
+         *  - expireAt: optional expiration date
+         * @param {String} userId the user who generates the key
+         * @returns {Object} an object with following keys:
+         *  - key: the clear API key
+         *  - row: the stored row, without the hash
+         */
+        async apiKeyGenerate( accountId, o, userId ){
+            const id = Random.id();
+            const secret = Random.secret();
+            const row = {
+                id: id,
+                label: o.label.trim(),
+                hash: Accounts.s.apiKeyHash( secret ),
+                createdAt: new Date(),
+                createdBy: userId,
+                expireAt: o.expireAt ? new Date( o.expireAt ) : null,
+                lastUsedAt: null,
+                revokedAt: null
+            };
+            await Meteor.users.updateAsync({ _id: accountId }, { $push: { apiKeys: row }});
+            return {
+                key: id+'.'+secret,
+                row: _.omit( row, 'hash' )
+            };
+        },
+
+        /**
+         * @param {String} secret
+         * @returns {String} the hex-encoded SHA-256 hash of the secret
+         */
+        apiKeyHash( secret ){
+            return crypto.createHash( 'sha256' ).update( secret ).digest( 'hex' );
+        },
+
+        /**
+         * @summary Revoke an API key
+         * @param {String} accountId
+         * @param {String} keyId
+         * @param {String} userId the user who revokes the key
+         */
+        async apiKeyRevoke( accountId, keyId, userId ){
+            await Meteor.users.updateAsync({ _id: accountId, 'apiKeys.id': keyId }, { $set: {
+                'apiKeys.$.revokedAt': new Date(),
+                'apiKeys.$.revokedBy': userId
+            }});
+        },
+
+        /**
+         * @summary Update the label and the expiration date of an API key
+         * @param {String} accountId
+         * @param {String} keyId
+         * @param {Object} o an object with following keys:
+         *  - label: mandatory
+         *  - expireAt: optional expiration date
+         */
+        async apiKeyUpdate( accountId, keyId, o ){
+            await Meteor.users.updateAsync({ _id: accountId, 'apiKeys.id': keyId }, { $set: {
+                'apiKeys.$.label': o.label.trim(),
+                'apiKeys.$.expireAt': o.expireAt ? new Date( o.expireAt ) : null
+            }});
+        },
+
+        /**
+         * @param {String} accountId
+         * @returns {Array} the API keys of the account, without their hash
+         */
+        async apiKeysList( accountId ){
+            const user = await Meteor.users.findOneAsync({ _id: accountId }, { fields: { apiKeys: 1 }});
+            return ( user?.apiKeys || [] ).map(( it ) => _.omit( it, 'hash' ));
+        },
+
+        /**
+         * @summary Records the last REST API connection of the account
+         * @param {String} userId
+         */
+        async apiConnection( userId ){
+            await Meteor.users.updateAsync({ _id: userId }, { $set: { apiConnection: new Date() }});
+        }
+    }
+};
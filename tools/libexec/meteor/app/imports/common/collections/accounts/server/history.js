@@ -0,0 +1,185 @@
+/*
+ * /import/common/collections/accounts/server/history.js
+ *
+ * The field-level change history of the accounts, recorded in the 'accounts_history' collection.
+ *
+ * Each document records:
+ *  - accountId: the changed account
+ *  - createdAt: the change timestamp
+ *  - userId: the user who did the change, null for the changes not made by a connected user
+ *  - action: 'create', 'update', 'delete', 'import', 'apikey_generate', 'apikey_revoke', 'twofactor_reset', 'lockout' or 'unlock'
+ *  - changes: an array of { field, before, after } objects
+ *
+ * The creations and updates made through the accounts manager are recorded by the server-side hooks of the 'users' amClass
+ * (see /imports/common/init/accounts-manager-users.js): an update is recorded by diffing the state of the account taken before
+ * the update with its state after the update. Both hooks run in the same server method, so in the same process.
+ * The deletions are recorded through the Meteor.APP.Hooks collection hook, whatever be the deleting code.
+ * The other actions are explicitly recorded by the methods which run them.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { DDP } from 'meteor/ddp-client';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { Accounts } from '../index.js';
+
+const logger = Logger.get( 'accounts-history' );
+
+// the fields which are not part of the history
+const Ignored = [ '_id', 'services', 'lastConnection', 'apiConnection', 'apiKeys', 'lastTenant', 'preferredLanguage', 'uiPreferences', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy' ];
+
+// the states taken before an update, keyed by '<userId>:<accountId>'
+//  they are removed when the update is recorded, or after SnapshotTimeout
+const SnapshotTimeout = 3600*1000;
+const _snapshots = new Map();
+
+// returns the historized state of the account, including its roles
+const _state = async function( accountId ){
+    const user = await Meteor.users.findOneAsync({ _id: accountId });
+    if( !user ){
+        return null;
+    }
+    let state = _.omit( user, Ignored );
+    if( Meteor.roleAssignment ){
+        const roles = await Meteor.roleAssignment.find({ 'user._id': accountId }).fetchAsync();
+        state.roles = roles.map(( it ) => it.scope ? it.role._id+'@'+it.scope : it.role._id ).sort();
+    }
+    return state;
+};
+
+// returns the list of changed fields
+const _diff = function( before, after ){
+    let changes = [];
+    _.union( Object.keys( before ), Object.keys( after )).sort().forEach(( field ) => {
+        if( !_.isEqual( before[field], after[field] )){
+            changes.push({ field: field, before: before[field] ?? null, after: after[field] ?? null });
+        }
+    });
+    return changes;
+};
+
+// returns the identifiers of the accounts selected by the selector
+const _ids = async function( selector ){
+    const list = await Meteor.users.find( selector, { fields: { _id: 1 }}).fetchAsync();
+    return list.map(( it ) => it._id );
+};
+
+Accounts.s = {
+    ...Accounts.s,
+    ...{
+        /**
+         * @returns {Mongo.Collection} the accounts history collection
+         */
+        historyCollection(){
+            return Meteor.APP.Collections.get( 'accounts_history' );
+        },
+
+        /**
+         * @summary Record the creation of the account, with all its historized fields
+         * @param {String} accountId
+         * @param {String} userId the user who created the account
+         * @param {String} action the action to be recorded, defaulting to 'create'
+         */
+        async historyCreated( accountId, userId, action='create' ){
+            await Accounts.s.historyRecord( accountId, userId, { action: action, changes: _diff( {}, await _state( accountId ) || {} )});
+        },
+
+        /**
+         * @param {String} accountId
+         * @returns {Array} the history of the account, most recent first, with a 'userLabel' for each change
+         */
+        async historyList( accountId ){
+            const list = await Accounts.s.historyCollection().find({ accountId: accountId }, { sort: { createdAt: -1 }}).fetchAsync();
+            const labels = {};
+            for( const it of list ){
+                if( it.userId && !labels[it.userId] ){
+                    const user = await Meteor.users.findOneAsync({ _id: it.userId }, { fields: { username: 1, emails: 1 }});
+                    labels[it.userId] = user ? ( user.emails?.[0]?.address || user.username || it.userId ) : it.userId;
+                }
+                it.userLabel = labels[it.userId] || '';
+            }
+            return list;
+        },
+
+        /**
+         * @summary Record a change of the account
+         * @param {String} accountId
+         * @param {String} userId the user who did the change
+         * @param {Object} o an object with following keys:
+         *  - action: the action to be recorded
+         *  - changes: the changes to be recorded, nothing being recorded when empty
+         */
+        async historyRecord( accountId, userId, o ){
+            if( o.changes.length ){
+                await Accounts.s.historyCollection().insertAsync({
+                    accountId: accountId,
+                    createdAt: new Date(),
+                    userId: userId,
+                    action: o.action,
+                    changes: o.changes
+                });
+            }
+        },
+
+        /**
+         * @summary Take the state of the account before an update
+         * @param {String} accountId
+         * @param {String} userId the user who is updating the account
+         */
+        async historySnapshot( accountId, userId ){
+            const now = Date.now();
+            _snapshots.forEach(( it, key ) => {
+                if( now - it.at > SnapshotTimeout ){
+                    _snapshots.delete( key );
+                }
+            });
+            const state = await _state( accountId );
+            if( state ){
+                _snapshots.set( userId+':'+accountId, { at: now, state: state });
+            }
+        },
+
+        /**
+         * @summary Record the update of the account, as the difference with the state taken by historySnapshot()
+         *  Nothing is recorded when no state has been taken before.
+         * @param {String} accountId
+         * @param {String} userId the user who updated the account
+         */
+        async historyUpdated( accountId, userId ){
+            const key = userId+':'+accountId;
+            const snapshot = _snapshots.get( key );
+            _snapshots.delete( key );
+            if( snapshot ){
+                await Accounts.s.historyRecord( accountId, userId, { action: 'update', changes: _diff( snapshot.state, await _state( accountId ) || {} )});
+            } else {
+                logger.warn( 'no state taken before the update of', accountId );
+            }
+        }
+    }
+};
+
+// record the deletions of accounts with their last state
+Meteor.APP.Hooks.collection( async ( name, operation, args, next ) => {
+    if( name !== 'users' || operation !== 'removeAsync' ){
+        return await next();
+    }
+    let states = [];
+    for( const id of await _ids( args[0] )){
+        states.push({ id: id, state: await _state( id ) || {} });
+    }
+    const res = await next();
+    if( res ){
+        const userId = DDP._CurrentMethodInvocation.get()?.userId || null;
+        for( const it of states ){
+            try {
+                await Accounts.s.historyRecord( it.id, userId, { action: 'delete', changes: _diff( it.state, {} )});
+            } catch( e ){
+                logger.error( e );
+            }
+        }
+    }
+    return res;
+});
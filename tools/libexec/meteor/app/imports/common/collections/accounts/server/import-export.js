@@ -0,0 +1,152 @@
+/*
+ * /import/common/collections/accounts/server/import-export.js
+ *
+ * Bulk export and import of the accounts.
+ *
+ * Imported rows are matched on their email address:
+ *  - an unknown email address creates a new account, sending an enrollment email when asked for
+ *  - a known email address is reported as a duplicate and left unchanged.
+ * Each row requires the 'pwix.accounts_manager.feat.create' permission in each scope of its roles, and in no scope when it has no
+ * scoped role. Roles are only granted if the importing user holds them, in the same scope.
+ * Symetrically, only the accounts the user would be allowed to import are exported.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { AccountsHub } from 'meteor/pwix:accounts-hub';
+import { Permissions } from 'meteor/pwix:permissions';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { Roles } from 'meteor/pwix:roles';
+
+import { Accounts } from '../index.js';
+
+// the columns checked on import, and their checks
+const Checks = [
+    [ 'email', 'importEmail' ],
+    [ 'username', 'importUsername' ],
+    [ 'roles', 'importRoles' ],
+    [ 'apiAllowed', 'apiAllowed' ],
+    [ 'loginAllowed', 'loginAllowed' ]
+];
+
+// returns the role identifier and the scope of a 'ROLE@scope' string
+const _role = function( str ){
+    const idx = str.indexOf( '@' );
+    return idx < 0 ? { role: str, scope: null } : { role: str.substring( 0, idx ), scope: str.substring( idx+1 ) };
+};
+
+// whether the user is allowed to create an account with these roles, i.e. in each scope of the roles
+const _canCreate = async function( userId, roles ){
+    const scopes = _.uniq( roles.map(( it ) => _role( it ).scope ).filter(( it ) => it ));
+    for( const scope of scopes.length ? scopes : [ null ] ){
+        if( !await Permissions.isAllowed( 'pwix.accounts_manager.feat.create', userId, { amInstance: AccountsHub.getInstance( 'users' ), scope: scope })){
+            return false;
+        }
+    }
+    return true;
+};
+
+// returns an error message for the row, or null
+const _checkRow = async function( row, userId ){
+    for( const [ field, fn ] of Checks ){
+        const res = await Accounts.checks[fn]( row[field], null, { update: false });
+        if( res ){
+            return res.message();
+        }
+    }
+    if( !await _canCreate( userId, row.roles )){
+        return pwixI18n.label( I18N, 'accounts.import.create_denied' );
+    }
+    for( const it of row.roles ){
+        const { role, scope } = _role( it );
+        if( !await Meteor.roles.findOneAsync({ _id: role })){
+            return pwixI18n.label( I18N, 'accounts.import.role_unknown', role );
+        }
+        if( !await Roles.userIsInRoles( userId, role, scope ? { scope: scope } : {} )){
+            return pwixI18n.label( I18N, 'accounts.import.role_denied', it );
+        }
+    }
+    return null;
+};
+
+Accounts.s = {
+    ...Accounts.s,
+    ...{
+        /**
+         * @param {String} userId the exporting user
+         * @returns {Array<Object>} the list of the accounts the user is allowed to create, as export rows
+         */
+        async exportAll( userId ){
+            const users = await Meteor.users.find({}, { sort: { createdAt: 1 }}).fetchAsync();
+            let rows = [];
+            for( const user of users ){
+                const assignments = Meteor.roleAssignment ? await Meteor.roleAssignment.find({ 'user._id': user._id }).fetchAsync() : [];
+                const roles = assignments.map(( it ) => it.scope ? it.role._id+'@'+it.scope : it.role._id ).sort();
+                if( await _canCreate( userId, roles )){
+                    rows.push({
+                        email: user.emails?.[0]?.address || '',
+                        username: user.username || '',
+                        roles: roles,
+                        apiAllowed: user.apiAllowed === true,
+                        loginAllowed: user.loginAllowed !== false,
+                        adminNotes: user.adminNotes || ''
+                    });
+                }
+            }
+            return rows;
+        },
+
+        /**
+         * @summary Import the provided rows
+         * @param {Array<Object>} rows the normalized rows, as returned by Accounts.importExport.fromCsv() or fromJson()
+         * @param {Object} opts an optional options object with following keys:
+         *  - dryRun: whether to only check the rows, defaulting to false
+         *  - enroll: whether to send an enrollment email to the created accounts, defaulting to false
+         *  - userId: the importing user
+         * @returns {Array<Object>} a report with one { line, email, status, message, id } object per row, where status is 'created', 'valid', 'duplicate' or 'error'
+         */
+        async importRows( rows, opts={} ){
+            assert.ok( Array.isArray( rows ), 'Accounts.s.importRows() expects an array' );
+            let report = [];
+            let seen = new Set();
+            for( let i=0 ; i<rows.length ; ++i ){
+                const row = rows[i];
+                let res = { line: i+1, email: row.email, status: 'error', message: null, id: null };
+                report.push( res );
+                res.message = await _checkRow( row, opts.userId );
+                if( res.message ){
+                    continue;
+                }
+                const email = row.email.toLowerCase();
+                if( seen.has( email ) || await MeteorAccounts.findUserByEmail( email )){
+                    res.status = 'duplicate';
+                    continue;
+                }
+                seen.add( email );
+                if( opts.dryRun === true ){
+                    res.status = 'valid';
+                    continue;
+                }
+                try {
+                    res.id = await MeteorAccounts.createUserAsync( _.omitBy({ email: email, username: row.username }, _.isNil ));
+                    const set = _.omitBy({ apiAllowed: row.apiAllowed, loginAllowed: row.loginAllowed, adminNotes: row.adminNotes }, _.isNil );
+                    await Meteor.users.updateAsync({ _id: res.id }, { $set: { ...set, createdBy: opts.userId }});
+                    for( const it of row.roles ){
+                        const { role, scope } = _role( it );
+                        await Roles.addUsersToRolesAsync( res.id, role, scope ? { scope: scope } : {} );
+                    }
+                    await Accounts.s.historyCreated( res.id, opts.userId, 'import' );
+                    if( opts.enroll === true ){
+                        await MeteorAccounts.sendEnrollmentEmail( res.id, email );
+                    }
+                    res.status = 'created';
+                } catch( e ){
+                    res.message = e.reason || e.message;
+                }
+            }
+            return report;
+        }
+    }
+};
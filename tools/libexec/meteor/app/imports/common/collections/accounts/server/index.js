@@ -4,3 +4,11 @@
 
 import _ from 'lodash';
 import { strict as assert } from 'node:assert';
+
+import './functions.js';
+import './history.js';
+import './import-export.js';
+import './lockout.js';
+import './methods.js';
+import './publish.js';
+import './two-factor.js';
@@ -0,0 +1,185 @@
+/*
+ * /import/common/collections/accounts/server/lockout.js
+ *
+ * Temporary lockout of the accounts after too many failed password logins.
+ *
+ * The failures are counted in 'services.lockout' within a window which starts with the first failure, with atomic updates so that
+ * parallel failures are all counted. When the max count is reached, the account
+ * is locked for the configured duration: its password logins are refused, even with the right password, until the lock
+ * expires or an accounts manager unlocks it. Both the lockout and the unlock are recorded in the accounts history.
+ *
+ * Configuration is read from the 'lockout' key of the environment settings:
+ *  "lockout": {
+ *      "enabled": true,
+ *      "maxFailures": 5,       // the count of failed logins which locks the account
+ *      "window": 900,          // the delay in seconds during which the failures are counted
+ *      "duration": 900         // the delay in seconds during which the account is locked
+ *  }
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { Accounts } from '../index.js';
+
+const logger = Logger.get( 'lockout' );
+
+const Defaults = {
+    enabled: true,
+    maxFailures: 5,
+    window: 900,
+    duration: 900
+};
+
+// the login types which are subject to the lockout, i.e. which check a password
+const LoginTypes = [ 'password', 'twoFactorRecovery' ];
+
+// the error thrown when a locked account tries to log in
+const LockedError = 'app.accounts.locked';
+
+// returns the lockout settings
+const _conf = async function(){
+    const settings = await Meteor.APP.Secrets.environmentSettings();
+    return { ...Defaults, ...( settings?.lockout || {} ) };
+};
+
+// whether the user document is currently locked
+const _isLocked = function( user ){
+    const until = user?.services?.lockout?.lockedUntil;
+    return Boolean( until && until > new Date());
+};
+
+Accounts.s = {
+    ...Accounts.s,
+    ...{
+        /**
+         * @summary Count a failed login, locking the account when the max count of failures is reached
+         * @param {String} accountId
+         * @param {String} clientAddress the address of the client, if known
+         * @returns {Boolean} whether the account has been locked
+         */
+        async lockoutFailure( accountId, clientAddress=null ){
+            const conf = await _conf();
+            if( conf.enabled === false ){
+                return false;
+            }
+            const now = new Date();
+            const windowStart = new Date( now.getTime() - conf.window * 1000 );
+            const notLocked = { 'services.lockout.lockedUntil': { $not: { $gt: now }}};
+            const opts = { returnDocument: 'after', projection: { 'services.lockout': 1 }};
+            const raw = Meteor.users.rawCollection();
+            // count the failure in the current window, or else start a new window
+            //  when parallel failures both start a new window, only the first one matches, the other being counted in the window
+            const _inc = () => raw.findOneAndUpdate({ _id: accountId, ...notLocked, 'services.lockout.firstFailureAt': { $gt: windowStart }}, { $inc: { 'services.lockout.failures': 1 }}, opts );
+            let user = await _inc();
+            if( !user ){
+                user = await raw.findOneAndUpdate({ _id: accountId, ...notLocked, 'services.lockout.firstFailureAt': { $not: { $gt: windowStart }}}, { $set: { 'services.lockout': { failures: 1, firstFailureAt: now }}}, opts );
+            }
+            if( !user ){
+                user = await _inc();
+            }
+            // the account is either unknown or already locked
+            if( !user ){
+                return false;
+            }
+            const failures = user.services.lockout.failures;
+            if( failures < conf.maxFailures ){
+                return false;
+            }
+            const lockedUntil = new Date( now.getTime() + conf.duration * 1000 );
+            // only the first of the parallel failures which reach the max count locks the account
+            const locked = await Meteor.users.updateAsync({ _id: accountId, ...notLocked }, { $set: { 'services.lockout': {
+                failures: 0,
+                lockedAt: now,
+                lockedUntil: lockedUntil,
+                clientAddress: clientAddress
+            }}});
+            if( !locked ){
+                return false;
+            }
+            await Accounts.s.historyRecord( accountId, null, { action: 'lockout', changes: [
+                { field: 'lockedUntil', before: null, after: lockedUntil },
+                { field: 'clientAddress', before: null, after: clientAddress }
+            ]});
+            Meteor.APP.Metrics.get( 'meteor_accounts_lockouts_total' ).inc();
+            logger.warn( 'account', accountId, 'locked until', lockedUntil.toISOString(), 'after', failures, 'failed logins from', clientAddress || 'unknown address' );
+            return true;
+        },
+
+        /**
+         * @summary Forget the failed logins after a successful login
+         * @param {String} accountId
+         */
+        async lockoutReset( accountId ){
+            await Meteor.users.updateAsync({ _id: accountId, 'services.lockout.failures': { $gt: 0 }}, { $unset: { 'services.lockout': '' }});
+        },
+
+        /**
+         * @param {String} accountId
+         * @returns {Object} the lockout status of the account, with following keys:
+         *  - locked: whether the account is currently locked
+         *  - lockedUntil: the end of the lock, if locked
+         *  - failures: the count of failures in the current window
+         */
+        async lockoutStatus( accountId ){
+            const user = await Meteor.users.findOneAsync({ _id: accountId }, { projection: { 'services.lockout': 1 }});
+            const locked = _isLocked( user );
+            return {
+                locked: locked,
+                lockedUntil: locked ? user.services.lockout.lockedUntil : null,
+                failures: user?.services?.lockout?.failures || 0
+            };
+        },
+
+        /**
+         * @param {Object} user a user document
+         * @returns {Boolean} whether the account is currently locked
+         */
+        lockoutIsLocked( user ){
+            return _isLocked( user );
+        },
+
+        /**
+         * @summary Unlock the account
+         * @param {String} accountId
+         * @param {String} userId the user who unlocks the account
+         */
+        async lockoutUnlock( accountId, userId ){
+            const status = await Accounts.s.lockoutStatus( accountId );
+            await Meteor.users.updateAsync({ _id: accountId }, { $unset: { 'services.lockout': '' }});
+            if( status.locked ){
+                await Accounts.s.historyRecord( accountId, userId, { action: 'unlock', changes: [{ field: 'lockedUntil', before: status.lockedUntil, after: null }]});
+                logger.info( 'account', accountId, 'unlocked by', userId );
+            }
+        }
+    }
+};
+
+// refuse the password logins of the locked accounts
+MeteorAccounts.validateLoginAttempt(( attempt ) => {
+    if( LoginTypes.includes( attempt.type ) && _isLocked( attempt.user )){
+        throw new Meteor.Error( LockedError, 'Account temporarily locked after too many failed logins' );
+    }
+    return true;
+});
+
+// count the failed password logins, but not the ones refused because the account is locked
+MeteorAccounts.onLoginFailure(( attempt ) => {
+    if( attempt.user && LoginTypes.includes( attempt.type ) && attempt.error?.error !== LockedError ){
+        Accounts.s.lockoutFailure( attempt.user._id, attempt.connection?.clientAddress ).catch(( e ) => {
+            logger.error( e );
+        });
+    }
+});
+
+MeteorAccounts.onLogin(( attempt ) => {
+    if( LoginTypes.includes( attempt.type )){
+        Accounts.s.lockoutReset( attempt.user._id ).catch(( e ) => {
+            logger.error( e );
+        });
+    }
+});
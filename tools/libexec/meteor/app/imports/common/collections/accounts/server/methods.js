@@ -0,0 +1,182 @@
+/*
+ * /import/common/collections/accounts/server/methods.js
+ *
+ * API keys management, accounts history, bulk import and export, lockout, preferred language, UI preferences and two-factor administration.
+ * The current user must be allowed to edit the target account, except for the language, preferences and two-factor methods which apply to the current user,
+ * and for the import and export methods which check the accounts creation permission of each row.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { AccountsHub } from 'meteor/pwix:accounts-hub';
+import { check, Match } from 'meteor/check';
+import { Permissions } from 'meteor/pwix:permissions';
+
+import { Accounts } from '../index.js';
+
+// throws if the current user is not allowed to edit the account
+const _check_allowed = async function( userId, accountId ){
+    const allowed = await Permissions.isAllowed( 'pwix.accounts_manager.feat.edit', userId, { amInstance: AccountsHub.getInstance( 'users' ), id: accountId });
+    if( !allowed ){
+        throw new Meteor.Error( 'app.accounts.unauthorized', 'Unauthorized' );
+    }
+};
+
+// throws if the label or the expiration date are not valid
+const _check_key = async function( o ){
+    for( const [ fn, value ] of [[ 'apiKeyLabel', o.label ], [ 'apiKeyExpireAt', o.expireAt ]] ){
+        const res = await Accounts.checks[fn]( value, null, { update: false });
+        if( res ){
+            throw new Meteor.Error( 'app.accounts.invalid', res.message());
+        }
+    }
+};
+
+Meteor.methods({
+    async 'app_accounts_apikeys_generate'( accountId, o ){
+        check( accountId, String );
+        check( o, { label: String, expireAt: Match.Maybe( Match.OneOf( Date, String, null )) });
+        await _check_allowed( this.userId, accountId );
+        await _check_key( o );
+        const res = await Accounts.s.apiKeyGenerate( accountId, o, this.userId );
+        await Accounts.s.historyRecord( accountId, this.userId, { action: 'apikey_generate', changes: [{ field: 'apiKeys', before: null, after: res.row.id+' ('+res.row.label+')' }]});
+        return res;
+    },
+
+    async 'app_accounts_apikeys_list'( accountId ){
+        check( accountId, String );
+        await _check_allowed( this.userId, accountId );
+        return await Accounts.s.apiKeysList( accountId );
+    },
+
+    async 'app_accounts_apikeys_revoke'( accountId, keyId ){
+        check( accountId, String );
+        check( keyId, String );
+        await _check_allowed( this.userId, accountId );
+        await Accounts.s.apiKeyRevoke( accountId, keyId, this.userId );
+        await Accounts.s.historyRecord( accountId, this.userId, { action: 'apikey_revoke', changes: [{ field: 'apiKeys', before: keyId, after: null }]});
+    },
+
+    async 'app_accounts_apikeys_update'( accountId, keyId, o ){
+        check( accountId, String );
+        check( keyId, String );
+        check( o, { label: String, expireAt: Match.Maybe( Match.OneOf( Date, String, null )) });
+        await _check_allowed( this.userId, accountId );
+        await _check_key( o );
+        return await Accounts.s.apiKeyUpdate( accountId, keyId, o );
+    },
+
+    // returns the export content as a string
+    async 'app_accounts_export'( format ){
+        check( format, Match.OneOf( 'csv', 'json' ));
+        if( !this.userId ){
+            throw new Meteor.Error( 'app.accounts.unauthorized', 'Unauthorized' );
+        }
+        const rows = await Accounts.s.exportAll( this.userId );
+        return format === 'csv' ? Accounts.importExport.toCsv( rows ) : Accounts.importExport.toJson( rows );
+    },
+
+    async 'app_accounts_history_list'( accountId ){
+        check( accountId, String );
+        await _check_allowed( this.userId, accountId );
+        return await Accounts.s.historyList( accountId );
+    },
+
+    // import the accounts from the provided content, returning a per-row report
+    async 'app_accounts_import'( content, format, opts ){
+        check( content, String );
+        check( format, Match.OneOf( 'csv', 'json' ));
+        check( opts, Match.Maybe({ dryRun: Match.Maybe( Boolean ), enroll: Match.Maybe( Boolean )}));
+        if( !this.userId ){
+            throw new Meteor.Error( 'app.accounts.unauthorized', 'Unauthorized' );
+        }
+        let rows;
+        try {
+            rows = format === 'csv' ? Accounts.importExport.fromCsv( content ) : Accounts.importExport.fromJson( content );
+        } catch( e ){
+            throw new Meteor.Error( 'app.accounts.invalid', e.message );
+        }
+        return await Accounts.s.importRows( rows, { ...( opts || {} ), userId: this.userId });
+    },
+
+    // record the preferred language of the current user
+    async 'app_accounts_language'( language ){
+        check( language, String );
+        if( !this.userId ){
+            throw new Meteor.Error( 'app.accounts.unauthorized', 'Unauthorized' );
+        }
+        await Meteor.users.updateAsync({ _id: this.userId, preferredLanguage: { $ne: language }}, { $set: { preferredLanguage: language }});
+    },
+
+    // the lockout status of an account
+    async 'app_accounts_lockout_status'( accountId ){
+        check( accountId, String );
+        await _check_allowed( this.userId, accountId );
+        return await Accounts.s.lockoutStatus( accountId );
+    },
+
+    // unlock an account which has been locked after too many failed logins
+    async 'app_accounts_lockout_unlock'( accountId ){
+        check( accountId, String );
+        await _check_allowed( this.userId, accountId );
+        await Accounts.s.lockoutUnlock( accountId, this.userId );
+    },
+
+    // record the UI preferences of the current user, a null value resetting the preference to the application default
+    async 'app_accounts_preferences'( prefs ){
+        check( prefs, { colorTheme: Match.Maybe( Match.OneOf( String, null )), layoutTheme: Match.Maybe( Match.OneOf( String, null )) });
+        if( !this.userId ){
+            throw new Meteor.Error( 'app.accounts.unauthorized', 'Unauthorized' );
+        }
+        const available = {
+            colorTheme: [ ...Meteor.APP.C.colorThemes, Meteor.APP.C.colorThemeAuto ],
+            layoutTheme: Meteor.APP.C.layoutThemes
+        };
+        let set = {};
+        let unset = {};
+        for( const [ key, value ] of Object.entries( prefs )){
+            if( value === null ){
+                unset['uiPreferences.'+key] = '';
+            } else if( available[key].includes( value )){
+                set['uiPreferences.'+key] = value;
+            } else {
+                throw new Meteor.Error( 'app.accounts.invalid', 'Unknown theme: '+value );
+            }
+        }
+        const modifier = _.omitBy({ $set: set, $unset: unset }, _.isEmpty );
+        if( !_.isEmpty( modifier )){
+            await Meteor.users.updateAsync({ _id: this.userId }, modifier );
+        }
+    },
+
+    // generate new recovery codes for the current user, who must have enabled the two-factor authentication
+    async 'app_accounts_twofactor_recovery'(){
+        if( !this.userId ){
+            throw new Meteor.Error( 'app.accounts.unauthorized', 'Unauthorized' );
+        }
+        const status = await Accounts.s.twoFactorStatus( this.userId );
+        if( !status.enabled ){
+            throw new Meteor.Error( 'app.accounts.twofactor', 'Two-factor authentication is not enabled' );
+        }
+        return await Accounts.s.twoFactorRecoveryGenerate( this.userId );
+    },
+
+    // reset the two-factor authentication of an account
+    async 'app_accounts_twofactor_reset'( accountId ){
+        check( accountId, String );
+        await _check_allowed( this.userId, accountId );
+        await Accounts.s.twoFactorReset( accountId );
+        await Accounts.s.historyRecord( accountId, this.userId, { action: 'twofactor_reset', changes: [{ field: 'twoFactor', before: 'enabled', after: null }]});
+    },
+
+    // the two-factor status of the current user, or of the account if provided
+    async 'app_accounts_twofactor_status'( accountId ){
+        check( accountId, Match.Maybe( String ));
+        if( accountId && accountId !== this.userId ){
+            await _check_allowed( this.userId, accountId );
+        }
+        const id = accountId || this.userId;
+        return id ? await Accounts.s.twoFactorStatus( id ) : null;
+    }
+});
@@ -0,0 +1,15 @@
+/*
+ * /import/common/collections/accounts/server/publish.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+// the connected user receives their own UI preferences, so that the run context can apply them reactively
+Meteor.publish( null, function(){
+    if( !this.userId ){
+        this.ready();
+        return;
+    }
+    return Meteor.users.find({ _id: this.userId }, { projection: { uiPreferences: 1 }});
+});
@@ -0,0 +1,218 @@
+/*
+ * /import/common/collections/accounts/server/two-factor.js
+ *
+ * TOTP two-factor authentication, on top of the Meteor 'accounts-2fa' package which manages the TOTP secret and the second login step.
+ *
+ * We add here:
+ * - recovery codes, stored hashed in 'services.twoFactorRecovery', each usable once through the 'twoFactorRecovery' login handler
+ * - a per-environment policy which makes the two-factor authentication mandatory for some roles, read from the 'twoFactor' key of the environment settings:
+ *      "twoFactor": {
+ *          "requiredForRoles": [ "APP_ADMINISTRATOR", "ACCOUNTS_MANAGER" ]
+ *      }
+ *   this policy is enforced on the server: until they have enabled the two-factor authentication, the users whose roles require it
+ *   may only call the enrollment methods, and are not published any data by the named publications; the REST API refuses them
+ * - an admin reset
+ *
+ * Whether the user has to enroll is computed once at login time, and remembered for the connection: the methods and publications
+ * are then gated through Meteor.APP.Hooks. A change of the roles or of the policy is so only considered at the next login.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import crypto from 'node:crypto';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { Random } from 'meteor/random';
+import { Roles } from 'meteor/pwix:roles';
+
+import { Accounts } from '../index.js';
+
+// the methods a user who has to enroll is still allowed to call
+const EnrollMethods = [
+    'app_accounts_language',
+    'app_accounts_preferences',
+    'app_accounts_twofactor_recovery',
+    'app_accounts_twofactor_status',
+    'enableUser2fa',
+    'generate2faActivationQrCode',
+    'has2faEnabled',
+    'login',
+    'logout'
+];
+
+// the count of generated recovery codes
+const RecoveryCount = 10;
+
+// the connections of the users who have to enroll, as a Map connectionId -> userId
+const _mustEnroll = new Map();
+
+// whether the method or publication is run by a user who has to enroll
+const _enrolling = function( invocation ){
+    return Boolean( invocation.userId ) && _mustEnroll.get( invocation.connection?.id ) === invocation.userId;
+};
+
+const _hash = function( code ){
+    return crypto.createHash( 'sha256' ).update( code.trim().toLowerCase()).digest( 'hex' );
+};
+
+// returns the user identified by the selector, which may be a string (email address or username) or a { id|email|username } object
+const _findUser = async function( selector ){
+    if( _.isString( selector )){
+        return await Meteor.users.findOneAsync({ $or: [{ 'emails.address': selector }, { username: selector }]});
+    }
+    if( selector?.id ){
+        return await Meteor.users.findOneAsync({ _id: selector.id });
+    }
+    if( selector?.email ){
+        return await Meteor.users.findOneAsync({ 'emails.address': selector.email });
+    }
+    if( selector?.username ){
+        return await Meteor.users.findOneAsync({ username: selector.username });
+    }
+    return null;
+};
+
+Accounts.s = {
+    ...Accounts.s,
+    ...{
+        /**
+         * @param {String} userId
+         * @returns {Boolean} whether the user has to enable the two-factor authentication before being allowed to use the application
+         */
+        async twoFactorMustEnroll( userId ){
+            if( !userId ){
+                return false;
+            }
+            const status = await Accounts.s.twoFactorStatus( userId );
+            return status.required && !status.enabled;
+        },
+
+        /**
+         * @summary Generate a new set of recovery codes, replacing the previous ones
+         * @param {String} userId
+         * @returns {Array<String>} the clear recovery codes, which are only returned once
+         */
+        async twoFactorRecoveryGenerate( userId ){
+            let codes = [];
+            for( let i=0 ; i<RecoveryCount ; ++i ){
+                codes.push( Random.hexString( 10 ));
+            }
+            await Meteor.users.updateAsync({ _id: userId }, { $set: { 'services.twoFactorRecovery': {
+                createdAt: new Date(),
+                codes: codes.map( _hash )
+            }}});
+            return codes;
+        },
+
+        /**
+         * @summary Consume a recovery code
+         * @param {String} userId
+         * @param {String} code
+         * @returns {Boolean} whether the code was valid
+         */
+        async twoFactorRecoveryUse( userId, code ){
+            const res = await Meteor.users.updateAsync({ _id: userId, 'services.twoFactorRecovery.codes': _hash( code ) }, { $pull: { 'services.twoFactorRecovery.codes': _hash( code ) }});
+            return res === 1;
+        },
+
+        /**
+         * @param {String} userId
+         * @returns {Boolean} whether the two-factor authentication is mandatory for the user
+         */
+        async twoFactorRequired( userId ){
+            const settings = await Meteor.APP.Secrets.environmentSettings();
+            for( const role of settings?.twoFactor?.requiredForRoles || [] ){
+                if( await Roles.userIsInRoles( userId, role )){
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        /**
+         * @summary Reset the two-factor authentication of the account, which will have to enroll again
+         * @param {String} accountId
+         */
+        async twoFactorReset( accountId ){
+            await Meteor.users.updateAsync({ _id: accountId }, { $unset: {
+                'services.twoFactorAuthentication': '',
+                'services.twoFactorRecovery': ''
+            }});
+        },
+
+        /**
+         * @param {String} userId
+         * @returns {Object} the two-factor status of the account, with following keys:
+         *  - enabled: whether the two-factor authentication is enabled
+         *  - required: whether the two-factor authentication is mandatory
+         *  - recoveryCount: the count of remaining recovery codes
+         */
+        async twoFactorStatus( userId ){
+            const user = await Meteor.users.findOneAsync({ _id: userId }, { fields: { 'services.twoFactorAuthentication': 1, 'services.twoFactorRecovery': 1 }});
+            return {
+                enabled: user?.services?.twoFactorAuthentication?.type === 'otp',
+                required: await Accounts.s.twoFactorRequired( userId ),
+                recoveryCount: user?.services?.twoFactorRecovery?.codes?.length || 0
+            };
+        }
+    }
+};
+
+// login with a password and a recovery code instead of the TOTP code
+//  options: { twoFactorRecovery: { user, password, code }} where password is hashed by the client
+MeteorAccounts.registerLoginHandler( 'twoFactorRecovery', async ( options ) => {
+    if( !options.twoFactorRecovery ){
+        return undefined;
+    }
+    const o = options.twoFactorRecovery;
+    const user = await _findUser( o.user );
+    if( !user ){
+        throw new Meteor.Error( 403, 'User not found' );
+    }
+    const res = await MeteorAccounts._checkPasswordAsync( user, o.password );
+    if( res.error ){
+        return res;
+    }
+    if( !await Accounts.s.twoFactorRecoveryUse( user._id, o.code || '' )){
+        return { userId: user._id, error: new Meteor.Error( 403, 'Invalid recovery code' ) };
+    }
+    return { userId: user._id };
+});
+
+// compute at login time whether the user has to enroll
+MeteorAccounts.validateLoginAttempt( async ( attempt ) => {
+    if( attempt.allowed && attempt.user && attempt.connection ){
+        if( await Accounts.s.twoFactorMustEnroll( attempt.user._id )){
+            _mustEnroll.set( attempt.connection.id, attempt.user._id );
+        } else {
+            _mustEnroll.delete( attempt.connection.id );
+        }
+    }
+    return true;
+});
+MeteorAccounts.onLogout(( o ) => {
+    _mustEnroll.delete( o.connection?.id );
+});
+Meteor.onConnection(( connection ) => {
+    connection.onClose(() => {
+        _mustEnroll.delete( connection.id );
+    });
+});
+
+// guard the methods of the users who have to enroll, and release them once they have enabled the two-factor authentication
+Meteor.APP.Hooks.method( async ( name, invocation, next ) => {
+    const enrolling = _enrolling( invocation );
+    if( enrolling && !EnrollMethods.includes( name )){
+        throw new Meteor.Error( 'app.accounts.twofactor', 'Two-factor authentication must be enabled first' );
+    }
+    const res = await next();
+    if( enrolling && name === 'enableUser2fa' && !await Accounts.s.twoFactorMustEnroll( invocation.userId )){
+        _mustEnroll.delete( invocation.connection.id );
+    }
+    return res;
+});
+
+// publish nothing to the users who have to enroll
+Meteor.APP.Hooks.publish( async ( name, subscription ) => {
+    return !_enrolling( subscription );
+});
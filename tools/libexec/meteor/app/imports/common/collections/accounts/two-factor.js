@@ -0,0 +1,64 @@
+/*
+ * /import/common/collections/accounts/two-factor.js
+ *
+ * The client side of the two-factor login step.
+ *
+ * When the account has enabled the two-factor authentication, 'accounts-2fa' rejects the password-only login with a 'no-2fa-code' error.
+ * We then ask the user for either the TOTP code or a recovery code, and login again.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { Modal } from 'meteor/pwix:modal';
+import { pwixI18n } from 'meteor/pwix:i18n';
+
+import { Accounts } from './collection.js';
+
+Accounts.twoFactor = {
+    /**
+     * @summary Ask the user for the second factor
+     * @returns {Promise} which resolves to a { code, recovery } object, or null if the user cancels
+     */
+    askCode(){
+        return new Promise(( resolve ) => {
+            Modal.run({
+                mdBody: 'two_factor_code',
+                mdTitle: pwixI18n.label( I18N, 'accounts.twofactor.code_title' ),
+                mdButtons: [],
+                resolve: resolve
+            });
+        });
+    },
+
+    /**
+     * @summary A drop-in replacement of Meteor.loginWithPassword() which handles the second login step
+     *  To be used as the AccountsHub 'onSignin' function.
+     * @param {String|Object} user the user selector
+     * @param {String} password
+     * @param {Function} cb an optional callback with proto: cb( err )
+     */
+    signin( user, password, cb ){
+        const done = cb || function(){};
+        Meteor.loginWithPassword( user, password, ( err ) => {
+            if( err && err.error === 'no-2fa-code' ){
+                Accounts.twoFactor.askCode()
+                    .then(( res ) => {
+                        if( !res ){
+                            done( err );
+                        } else if( res.recovery ){
+                            MeteorAccounts.callLoginMethod({
+                                methodArguments: [{ twoFactorRecovery: { user: user, password: MeteorAccounts._hashPassword( password ), code: res.code }}],
+                                userCallback: done
+                            });
+                        } else {
+                            Meteor.loginWithPasswordAnd2faCode( user, password, res.code, done );
+                        }
+                    });
+            } else {
+                done( err );
+            }
+        });
+    }
+};
@@ -0,0 +1,20 @@
+/*
+ * /import/common/collections/jobs-runs/collection.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export const JobsRuns = {
+    C: {
+        // the default retention of the run records
+        retentionDays: 30
+    },
+
+    /**
+     * @returns {Mongo.Collection} the runs collection
+     */
+    collection(){
+        return Meteor.APP.Collections.get( 'jobs_runs' );
+    }
+};
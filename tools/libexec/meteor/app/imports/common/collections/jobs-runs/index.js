@@ -0,0 +1,21 @@
+/*
+ * /import/common/collections/jobs-runs/index.js
+ *
+ * The records of the scheduled jobs runs.
+ *
+ * Each document records:
+ *  - name: the job name
+ *  - scheduledAt: the scheduled run time, null when the job has been run on demand
+ *  - startedAt: the start timestamp
+ *  - endedAt: the end timestamp, null while running
+ *  - host: the 'hostname:pid' of the server instance which ran the job
+ *  - status: 'running', 'success' or 'error'
+ *  - output: the lines logged by the job, and its result or error message
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export { JobsRuns } from './collection.js';
+
+import './tabular.js';
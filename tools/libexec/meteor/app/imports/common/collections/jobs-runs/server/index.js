@@ -0,0 +1,31 @@
+/*
+ * /import/common/collections/jobs-runs/server/index.js
+ *
+ * Maintain the retention of the jobs runs records.
+ *
+ * Configuration is read from the 'jobs.retentionDays' key of the environment settings.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { JobsRuns } from '../index.js';
+
+const logger = Logger.get( 'jobs-runs' );
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                return Meteor.APP.Collections.ttlIndex( 'jobs_runs', 'startedAt', settings?.jobs?.retentionDays || JobsRuns.C.retentionDays );
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,62 @@
+/*
+ * /import/common/collections/jobs-runs/tabular.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { Permissions } from 'meteor/pwix:permissions';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { Tabular } from 'meteor/pwix:tabular';
+
+import { JobsRuns } from './index.js';
+
+JobsRuns.tabular = new Tabular.Table({
+    name: 'JobsRuns',
+    collection: JobsRuns.collection(),
+    async allow( userId ){
+        return await Permissions.isAllowed( 'app.jobs.list', userId );
+    },
+    order: [[ 1, 'desc' ]],
+    columns: [
+        {
+            data: 'name',
+            title: pwixI18n.label( I18N, 'jobs.runs.name_th' )
+        },
+        {
+            data: 'startedAt',
+            title: pwixI18n.label( I18N, 'jobs.runs.started_th' ),
+            render( data ){
+                return data ? strftime( '%Y-%m-%d %H:%M:%S', data ) : '';
+            }
+        },
+        {
+            data: 'endedAt',
+            title: pwixI18n.label( I18N, 'jobs.runs.ended_th' ),
+            render( data ){
+                return data ? strftime( '%Y-%m-%d %H:%M:%S', data ) : '';
+            }
+        },
+        {
+            data: 'host',
+            title: pwixI18n.label( I18N, 'jobs.runs.host_th' )
+        },
+        {
+            data: 'status',
+            title: pwixI18n.label( I18N, 'jobs.runs.status_th' ),
+            className: 'dt-center',
+            render( data ){
+                return pwixI18n.label( I18N, 'jobs.runs.status_'+data );
+            }
+        },
+        {
+            data: 'output',
+            title: pwixI18n.label( I18N, 'jobs.runs.output_th' ),
+            orderable: false,
+            render( data ){
+                return _.escape( data || '' ).replace( /\n/g, '<br />' );
+            }
+        }
+    ]
+});
@@ -0,0 +1,22 @@
+/*
+ * /import/common/collections/mails-captured/collection.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export const MailsCaptured = {
+    C: {
+        // the max count of mails returned to the inbox
+        listLimit: 100,
+        // the default retention of the captured mails
+        retentionDays: 7
+    },
+
+    /**
+     * @returns {Mongo.Collection} the captured mails collection
+     */
+    collection(){
+        return Meteor.APP.Collections.get( 'mails_captured' );
+    }
+};
@@ -0,0 +1,17 @@
+/*
+ * /import/common/collections/mails-captured/index.js
+ *
+ * The mails captured instead of being delivered, when the 'mail.transport' of the environment is 'capture'.
+ *
+ * Each document records:
+ *  - createdAt: the sending timestamp
+ *  - from, to, cc, bcc, replyTo: the addresses, as provided to Email.sendAsync()
+ *  - subject
+ *  - text: the plain text content, may be empty
+ *  - html: the HTML content, may be empty
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export { MailsCaptured } from './collection.js';
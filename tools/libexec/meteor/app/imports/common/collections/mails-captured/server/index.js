@@ -0,0 +1,65 @@
+/*
+ * /import/common/collections/mails-captured/server/index.js
+ *
+ * Maintain the retention of the captured mails, and let the administrators browse them.
+ *
+ * Configuration is read from the 'mail.capture.retentionDays' key of the environment settings, the retention being only maintained
+ * when the 'mail.transport' is 'capture'.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { check } from 'meteor/check';
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Permissions } from 'meteor/pwix:permissions';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { MailsCaptured } from '../index.js';
+
+const logger = Logger.get( 'mails-captured' );
+
+// throws if the current user is not allowed to browse the captured mails
+const _check_allowed = async function( userId ){
+    const allowed = await Permissions.isAllowed( 'app.mails.inbox', userId );
+    if( !allowed ){
+        throw new Meteor.Error( 'app.mails.unauthorized', 'Unauthorized' );
+    }
+};
+
+Meteor.methods({
+    // remove all the captured mails
+    async 'app_mails_clear'(){
+        await _check_allowed( this.userId );
+        return await MailsCaptured.collection().removeAsync({});
+    },
+
+    // the full captured mail
+    async 'app_mails_get'( id ){
+        check( id, String );
+        await _check_allowed( this.userId );
+        return await MailsCaptured.collection().findOneAsync({ _id: id });
+    },
+
+    // the most recent captured mails, without their content
+    async 'app_mails_list'(){
+        await _check_allowed( this.userId );
+        return await MailsCaptured.collection().find({}, { sort: { createdAt: -1 }, limit: MailsCaptured.C.listLimit, projection: { text: 0, html: 0 }}).fetchAsync();
+    }
+});
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                if( settings?.mail?.transport === 'capture' ){
+                    return Meteor.APP.Collections.ttlIndex( 'mails_captured', 'createdAt', settings.mail.capture?.retentionDays || MailsCaptured.C.retentionDays );
+                }
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
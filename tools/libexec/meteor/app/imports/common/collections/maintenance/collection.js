@@ -0,0 +1,22 @@
+/*
+ * /import/common/collections/maintenance/collection.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export const Maintenance = {
+    C: {
+        // the identifier of the single maintenance document
+        docId: 'maintenance',
+        // the error of the refused method calls and logins
+        error: 'app.maintenance'
+    },
+
+    /**
+     * @returns {Mongo.Collection} the maintenance collection
+     */
+    collection(){
+        return Meteor.APP.Collections.get( 'maintenance' );
+    }
+};
@@ -0,0 +1,23 @@
+/*
+ * /import/common/collections/maintenance/index.js
+ *
+ * The maintenance mode, as toggled by the application administrators.
+ *
+ * Server-side, the single 'maintenance' document records:
+ *  - enabled: whether the maintenance mode is on
+ *  - message: an optional message displayed to the users
+ *  - updatedAt, updatedBy: the last toggle
+ * It may also be set directly in the database, e.g. by 'meteor.pl deploy --maintenance'.
+ *
+ * Client-side, the same document is published with the effective status, i.e. also taking into account the 'maintenance'
+ * environment settings, and whether the connected user is exempt:
+ *  - enabled
+ *  - forced: whether the maintenance mode is set by the environment settings, and so cannot be toggled
+ *  - message
+ *  - exempt: whether the connected user is an application administrator
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export { Maintenance } from './collection.js';
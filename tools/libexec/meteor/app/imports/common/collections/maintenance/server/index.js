@@ -0,0 +1,188 @@
+/*
+ * /import/common/collections/maintenance/server/index.js
+ *
+ * Apply the maintenance mode: while it is on, only the application administrators may log in and call the methods.
+ * The other method calls and logins are refused with an 'app.maintenance' error, and the server routes answer with a 503 status
+ * (see /imports/server/init/webapp-maintenance.js).
+ *
+ * The maintenance mode is on when either the 'maintenance.enabled' environment settings is true, or the maintenance document
+ * is enabled. Configuration is read from the 'maintenance' key of the environment settings:
+ *  "maintenance": {
+ *      "enabled": false,
+ *      "message": "Back at 14:00",
+ *      "retryAfter": 300
+ *  }
+ *
+ * The method calls are gated through Meteor.APP.Hooks, and the server routes by the same Maintenance.s.allows() function.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { check, Match } from 'meteor/check';
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Permissions } from 'meteor/pwix:permissions';
+import { Roles } from 'meteor/pwix:roles';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+import { maintenanceAllows, maintenanceStatus } from '/imports/server/settings/maintenance.js';
+
+import { Maintenance } from '../index.js';
+
+const logger = Logger.get( 'maintenance' );
+
+// the 'maintenance' environment settings
+let _settings = null;
+// the maintenance document
+let _doc = null;
+// the functions called on each change of the status
+let _listeners = new Set();
+
+// recompute the status, and advertise it if it has changed
+const _update = function( settings, doc ){
+    const before = maintenanceStatus( _settings, _doc );
+    _settings = settings;
+    _doc = doc;
+    const after = maintenanceStatus( _settings, _doc );
+    if( !_.isEqual( before, after )){
+        logger.info( 'maintenance mode', after.enabled ? 'on' : 'off', after.forced ? '(forced by the settings)' : '' );
+        _listeners.forEach(( fn ) => { fn( after ); });
+    }
+};
+
+// throws if the current user is not allowed to toggle the maintenance mode
+const _check_allowed = async function( userId ){
+    const allowed = await Permissions.isAllowed( 'app.maintenance.toggle', userId );
+    if( !allowed ){
+        throw new Meteor.Error( 'app.maintenance.unauthorized', 'Unauthorized' );
+    }
+};
+
+// the error of the refused calls and logins
+const _error = function(){
+    const message = maintenanceStatus( _settings, _doc ).message;
+    return new Meteor.Error( Maintenance.C.error, 'The application is under maintenance, please retry later', message );
+};
+
+Maintenance.s = {
+    /**
+     * @param {String} name the name of the called method, or null for a server route
+     * @param {String} userId the calling user, may be null
+     * @returns {Boolean} whether the call is accepted
+     */
+    async allows( name, userId ){
+        const status = Maintenance.s.status();
+        return maintenanceAllows( status, name, status.enabled && await Maintenance.s.isExempt( userId ));
+    },
+
+    /**
+     * @param {String} userId
+     * @returns {Boolean} whether the user is exempt from the maintenance mode, i.e. is an application administrator
+     */
+    async isExempt( userId ){
+        return Boolean( userId ) && await Roles.userIsInRoles( userId, Meteor.APP.C.appAdmin );
+    },
+
+    /**
+     * @param {Function} fn a function called with the new status on each change
+     * @returns {Function} a function which stops the notifications
+     */
+    onChange( fn ){
+        _listeners.add( fn );
+        return () => { _listeners.delete( fn ); };
+    },
+
+    /**
+     * @summary Toggle the maintenance mode
+     * @param {Boolean} enabled
+     * @param {String} message an optional message displayed to the users
+     * @param {String} userId the user who toggles the maintenance mode
+     */
+    async set( enabled, message, userId ){
+        await Maintenance.collection().upsertAsync({ _id: Maintenance.C.docId }, { $set: {
+            enabled: enabled,
+            message: message || null,
+            updatedAt: new Date(),
+            updatedBy: userId
+        }});
+        logger.info( 'maintenance mode set', enabled ? 'on' : 'off', 'by', userId );
+    },
+
+    /**
+     * @returns {Object} the effective status, as an { enabled, forced, message, retryAfter } object
+     */
+    status(){
+        return maintenanceStatus( _settings, _doc );
+    }
+};
+
+Meteor.methods({
+    // toggle the maintenance mode
+    async 'app_maintenance_set'( enabled, message ){
+        check( enabled, Boolean );
+        check( message, Match.Maybe( String ));
+        await _check_allowed( this.userId );
+        await Maintenance.s.set( enabled, message, this.userId );
+    }
+});
+
+// publish the effective status to each client, with whether the connected user is exempt
+Meteor.publish( null, async function(){
+    const self = this;
+    const exempt = await Maintenance.s.isExempt( self.userId );
+    const fields = function( status ){
+        return { enabled: status.enabled, forced: status.forced, message: status.message, exempt: exempt };
+    };
+    self.added( 'maintenance', Maintenance.C.docId, fields( Maintenance.s.status()));
+    const stop = Maintenance.s.onChange(( status ) => {
+        self.changed( 'maintenance', Maintenance.C.docId, fields( status ));
+    });
+    self.onStop( stop );
+    self.ready();
+});
+
+// refuse the logins of the other users
+MeteorAccounts.validateLoginAttempt( async ( attempt ) => {
+    if( attempt.allowed && attempt.user && Maintenance.s.status().enabled && !await Maintenance.s.isExempt( attempt.user._id )){
+        throw _error();
+    }
+    return true;
+});
+
+// refuse the method calls of the other users
+Meteor.APP.Hooks.method( async ( name, invocation, next ) => {
+    if( !await Maintenance.s.allows( name, invocation.userId )){
+        logger.verbose( 'refusing', name, 'to', invocation.userId || 'anonymous', 'while in maintenance' );
+        throw _error();
+    }
+    return await next();
+});
+
+// follow the maintenance document
+Meteor.startup( async () => {
+    await Maintenance.collection().find({ _id: Maintenance.C.docId }).observeAsync({
+        added( doc ){
+            _update( _settings, doc );
+        },
+        changed( doc ){
+            _update( _settings, doc );
+        },
+        removed(){
+            _update( _settings, null );
+        }
+    });
+});
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                _update( settings?.maintenance || null, _doc );
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,29 @@
+/*
+ * /import/common/collections/permissions-audit/collection.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export const PermissionsAudit = {
+    C: {
+        // the default retention of the audit records
+        retentionDays: 90,
+        // the tasks which only gate the display (menus, routes, lists), which are not recorded unless 'uiTasks' is set
+        uiTasks: [
+            'app.accounts.import_export',
+            'app.preferences.self',
+            'app.twofactor.self',
+            'pwix.accounts_manager.feat.list',
+            'pwix.tenants_manager.feat.access',
+            'pwix.tenants_manager.feat.list'
+        ]
+    },
+
+    /**
+     * @returns {Mongo.Collection} the audit collection
+     */
+    collection(){
+        return Meteor.APP.Collections.get( 'permissions_audit' );
+    }
+};
@@ -0,0 +1,20 @@
+/*
+ * /import/common/collections/permissions-audit/index.js
+ *
+ * The persistent audit trail of the permission decisions.
+ *
+ * Each document records:
+ *  - createdAt: the decision timestamp
+ *  - userId: the user the permission was asked for, may be null
+ *  - task: the task path, e.g. 'pwix.accounts_manager.feat.delete'
+ *  - scope: the scope of the task, if any
+ *  - targetId: the identifier of the target item, if any
+ *  - allowed: the decision
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export { PermissionsAudit } from './collection.js';
+
+import './tabular.js';
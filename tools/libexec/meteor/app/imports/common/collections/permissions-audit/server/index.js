@@ -0,0 +1,81 @@
+/*
+ * /import/common/collections/permissions-audit/server/index.js
+ *
+ * Record the permission decisions.
+ *
+ * Configuration is read from the 'audit.permissions' key of the environment settings:
+ *  "audit": {
+ *      "permissions": {
+ *          "enabled": true,
+ *          "onlyDenied": false,    // whether to only record the denied permissions
+ *          "uiTasks": false,       // whether to also record the tasks which only gate the display, see PermissionsAudit.C.uiTasks
+ *          "retentionDays": 90     // the records are automatically removed after this delay
+ *      }
+ *  }
+ *
+ * The records are written without being awaited, so that the permission decisions are not delayed by the database.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { PermissionsAudit } from '../index.js';
+
+const logger = Logger.get( 'permissions-audit' );
+
+let _conf = null;
+
+// the scope and the target identifier are found either in an arguments object, or as the target item (identifier or document)
+const _target = function( args ){
+    const arg = args[0];
+    if( _.isString( arg )){
+        return { scope: null, targetId: arg };
+    }
+    if( _.isObject( arg )){
+        return { scope: arg.scope || null, targetId: arg.id || arg._id || null };
+    }
+    return { scope: null, targetId: null };
+};
+
+// whether the decision is to be recorded
+const _recorded = function( o ){
+    if( !_conf || _conf.enabled === false ){
+        return false;
+    }
+    if( o.allowed && _conf.onlyDenied === true ){
+        return false;
+    }
+    return _conf.uiTasks === true || !PermissionsAudit.C.uiTasks.includes( o.task );
+};
+
+Meteor.APP.Permissions.onDecision(( o ) => {
+    if( _recorded( o )){
+        PermissionsAudit.collection().insertAsync({
+            createdAt: new Date(),
+            userId: _.isObject( o.userId ) ? o.userId._id : ( o.userId || null ),
+            task: o.task,
+            ..._target( o.args ),
+            allowed: o.allowed
+        }).catch(( e ) => {
+            logger.error( e );
+        });
+    }
+});
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                _conf = settings?.audit?.permissions || {};
+                return Meteor.APP.Collections.ttlIndex( 'permissions_audit', 'createdAt', _conf.retentionDays || PermissionsAudit.C.retentionDays );
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,55 @@
+/*
+ * /import/common/collections/permissions-audit/tabular.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import strftime from 'strftime';
+
+import { Permissions } from 'meteor/pwix:permissions';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { Tabular } from 'meteor/pwix:tabular';
+
+import { PermissionsAudit } from './index.js';
+
+PermissionsAudit.tabular = new Tabular.Table({
+    name: 'PermissionsAudit',
+    collection: PermissionsAudit.collection(),
+    async allow( userId ){
+        return await Permissions.isAllowed( 'app.permissions_audit.list', userId );
+    },
+    order: [[ 0, 'desc' ]],
+    columns: [
+        {
+            data: 'createdAt',
+            title: pwixI18n.label( I18N, 'permissions_audit.list.created_th' ),
+            render( data ){
+                return data ? strftime( '%Y-%m-%d %H:%M:%S', data ) : '';
+            }
+        },
+        {
+            data: 'userId',
+            title: pwixI18n.label( I18N, 'permissions_audit.list.user_th' )
+        },
+        {
+            data: 'task',
+            title: pwixI18n.label( I18N, 'permissions_audit.list.task_th' )
+        },
+        {
+            data: 'scope',
+            title: pwixI18n.label( I18N, 'permissions_audit.list.scope_th' )
+        },
+        {
+            data: 'targetId',
+            title: pwixI18n.label( I18N, 'permissions_audit.list.target_th' )
+        },
+        {
+            data: 'allowed',
+            title: pwixI18n.label( I18N, 'permissions_audit.list.decision_th' ),
+            className: 'dt-center',
+            render( data ){
+                return pwixI18n.label( I18N, data ? 'permissions_audit.list.allowed' : 'permissions_audit.list.denied' );
+            }
+        }
+    ]
+});
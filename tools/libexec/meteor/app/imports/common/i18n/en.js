@@ -10,18 +10,259 @@ Meteor.APP.i18n = {
     ...{
         en: {
             accounts: {
+                apikeys: {
+                    created_th: 'Created',
+                    expire_label: 'Expiration date: ',
+                    expire_th: 'Expires',
+                    generate_button: 'Generate a new key',
+                    generated_text: 'Copy this API key now: it will not be displayed again.',
+                    id_th: 'Identifier',
+                    label_label: 'Label: ',
+                    label_th: 'Label',
+                    none: 'No API key has been generated yet',
+                    preamble: 'API keys let your integrations authenticate to the REST API as a \'Bearer\' token.',
+                    revoke_button: 'Revoke',
+                    save_first: 'API keys can be generated once the account has been saved',
+                    status_active: 'Active',
+                    status_expired: 'Expired',
+                    status_revoked: 'Revoked',
+                    status_th: 'Status',
+                    tab_title: 'API keys',
+                    used_th: 'Last used'
+                },
+                check: {
+                    apikey_expire_invalid: 'The expiration date is not valid',
+                    apikey_expire_past: 'The expiration date must be in the future',
+                    apikey_label_long: 'The label must not be longer than %s characters',
+                    apikey_label_unset: 'The label of the API key is mandatory',
+                    boolean_invalid: 'The \'%s\' value must be true or false',
+                    email_invalid: 'The email address \'%s\' is not valid',
+                    email_unset: 'The email address is mandatory',
+                    role_invalid: 'The role \'%s\' is not valid',
+                    username_invalid: 'The username \'%s\' is not valid'
+                },
                 edit: {
                     api_allowed_label: 'Is REST API allowed: ',
                     api_last_label: 'Last REST API connection: ',
-                    tab_title: 'Application'
+                    lockout_failures: 'Not locked, %s recent failed login(s)',
+                    lockout_label: 'Login lockout: ',
+                    lockout_locked: 'Locked until %s',
+                    lockout_none: 'Not locked',
+                    lockout_unlock: 'Unlock',
+                    tab_title: 'Application',
+                    twofactor_disabled: 'Not enabled',
+                    twofactor_enabled: 'Enabled',
+                    twofactor_label: 'Two-factor authentication: ',
+                    twofactor_missing: 'Required but not enrolled yet',
+                    twofactor_reset: 'Reset'
+                },
+                history: {
+                    action_apikey_generate: 'API key generated',
+                    action_apikey_revoke: 'API key revoked',
+                    action_twofactor_reset: 'Two-factor authentication reset',
+                    action_create: 'Created',
+                    action_delete: 'Deleted',
+                    action_import: 'Imported',
+                    action_lockout: 'Locked after too many failed logins',
+                    action_th: 'Action',
+                    action_unlock: 'Unlocked',
+                    action_update: 'Updated',
+                    changes_th: 'Changes',
+                    date_th: 'Date',
+                    none: 'No change has been recorded',
+                    preamble: 'The changes made to this account, most recent first.',
+                    save_first: 'The history will be available once the account has been saved',
+                    tab_title: 'History',
+                    user_th: 'By'
+                },
+                import: {
+                    create_denied: 'You are not allowed to create this account',
+                    role_denied: 'You are not allowed to grant the \'%s\' role',
+                    role_unknown: 'The role \'%s\' is unknown'
+                },
+                import_export: {
+                    email_th: 'Email address',
+                    enroll_label: 'Send an enrollment email to the created accounts',
+                    export_csv_button: 'Export as CSV',
+                    export_json_button: 'Export as JSON',
+                    export_title: 'Export',
+                    file_label: 'CSV or JSON file: ',
+                    import_button: 'Import',
+                    import_title: 'Import',
+                    line_th: 'Line',
+                    menu_label: 'Accounts import and export',
+                    message_th: 'Message',
+                    preamble: 'Export all the accounts, or create new accounts from a file. Accounts whose email address already exists are left unchanged.',
+                    preview_button: 'Preview',
+                    status_created: 'Created',
+                    status_duplicate: 'Already exists',
+                    status_error: 'Error',
+                    status_th: 'Status',
+                    status_valid: 'Valid',
+                    summary: '%s row(s): %s valid or created, %s duplicate(s), %s error(s)',
+                    title: 'Accounts import and export'
                 },
                 fieldset: {
                     api_allowed_dt_title: 'Is REST API allowed',
                     api_connection_dt_title: 'Last REST API connection'
+                },
+                twofactor: {
+                    cancel_button: 'Cancel',
+                    code_placeholder: '6-digit code',
+                    code_prompt: 'Please enter the 6-digit code displayed by your authenticator application.',
+                    code_title: 'Two-factor authentication',
+                    disable_button: 'Disable',
+                    disabled_text: 'The two-factor authentication is not enabled on your account.',
+                    enable_button: 'Enable',
+                    enabled_text: 'The two-factor authentication is enabled on your account.',
+                    enroll_button: 'Enroll',
+                    enroll_title: 'Two-factor authentication enrollment',
+                    menu_label: 'Two-factor authentication',
+                    ok_button: 'OK',
+                    preamble: 'The two-factor authentication protects your account with a code generated by an authenticator application, in addition to your password.',
+                    recovery_button: 'Generate new recovery codes',
+                    recovery_count: '%s recovery code(s) left.',
+                    recovery_prompt: 'Please enter one of your recovery codes.',
+                    recovery_text: 'Keep these recovery codes in a safe place: each of them may be used once instead of a 6-digit code. They will not be displayed again.',
+                    required_text: 'Your roles require you to enable the two-factor authentication.',
+                    scan_text: 'Scan this QR code with your authenticator application, and enter the displayed code to enable the two-factor authentication.',
+                    secret_label: 'Or enter this secret:',
+                    use_recovery: 'Use a recovery code'
                 }
             },
             app: {
                 label: 'MyApplication AppLabel'
+            },
+            emails: {
+                common: {
+                    footer: 'This email has been automatically sent by %s, please do not reply.',
+                    greeting: 'Hello %s,',
+                    link: 'If the button does not work, copy and paste this link into your browser:'
+                },
+                enroll_account: {
+                    button: 'Set my password',
+                    ignore: 'If you were not expecting this invitation, you can ignore this email.',
+                    subject: 'Your %s account',
+                    text: 'An account has been created for you on %s. To start using it, please set your password by clicking the button below.',
+                    title: 'Welcome'
+                },
+                reset_password: {
+                    button: 'Reset my password',
+                    ignore: 'If you did not ask for a password reset, you can ignore this email: your password will not be changed.',
+                    subject: 'Reset your %s password',
+                    text: 'A password reset has been requested for your account on %s. To choose a new password, please click the button below.',
+                    title: 'Password reset'
+                },
+                verify_email: {
+                    button: 'Verify my email address',
+                    ignore: 'If you did not create an account, you can ignore this email.',
+                    subject: 'Verify your email address on %s',
+                    text: 'Please confirm that this email address is yours so that %s is able to reach you, by clicking the button below.',
+                    title: 'Email address verification'
+                }
+            },
+            jobs: {
+                list: {
+                    description_th: 'Description',
+                    disabled: 'Disabled',
+                    locked: 'The \'%s\' job is already running',
+                    name_th: 'Job',
+                    next_th: 'Next run',
+                    none: 'No job is registered',
+                    preamble: 'The jobs which are periodically run by the server, and their last runs.',
+                    run_button: 'Run now',
+                    schedule_th: 'Schedule',
+                    title: 'Scheduled jobs'
+                },
+                menu_label: 'Scheduled jobs',
+                runs: {
+                    ended_th: 'Ended',
+                    host_th: 'Host',
+                    name_th: 'Job',
+                    output_th: 'Output',
+                    started_th: 'Started',
+                    status_error: 'Error',
+                    status_running: 'Running',
+                    status_success: 'Success',
+                    status_th: 'Status',
+                    title: 'Last runs'
+                }
+            },
+            mails: {
+                inbox: {
+                    clear_button: 'Remove all',
+                    date_th: 'Date',
+                    from_label: 'From: ',
+                    links_label: 'Links: ',
+                    none: 'No mail has been captured',
+                    preamble: 'The mails which have been captured instead of being delivered, most recent first.',
+                    reload_button: 'Reload',
+                    subject_label: 'Subject: ',
+                    subject_th: 'Subject',
+                    title: 'Captured mails',
+                    to_label: 'To: ',
+                    to_th: 'To'
+                },
+                menu_label: 'Captured mails'
+            },
+            maintenance: {
+                admin: {
+                    enabled_label: 'Maintenance mode: ',
+                    forced: 'The maintenance mode is forced on by the environment settings, and cannot be switched off from here.',
+                    message_label: 'Message: ',
+                    preamble: 'While the maintenance mode is on, only the application administrators can log in and use the application. The other users are displayed a maintenance page, and the server routes answer with a 503 status.',
+                    save_button: 'Save',
+                    title: 'Maintenance mode'
+                },
+                menu_label: 'Maintenance mode',
+                overlay: {
+                    admin_button: 'Log in as an administrator',
+                    text: 'The application is currently under maintenance. Please come back in a few minutes.',
+                    title: 'Maintenance in progress'
+                }
+            },
+            permissions_audit: {
+                list: {
+                    allowed: 'Allowed',
+                    created_th: 'Date',
+                    decision_th: 'Decision',
+                    denied: 'Denied',
+                    preamble: 'The permission decisions taken by the application, most recent first.',
+                    scope_th: 'Scope',
+                    target_th: 'Target',
+                    task_th: 'Task',
+                    title: 'Permissions audit',
+                    user_th: 'User'
+                },
+                menu_label: 'Permissions audit'
+            },
+            preferences: {
+                color_label: 'Color theme: ',
+                default_option: 'Application default',
+                layout_label: 'Layout theme: ',
+                menu_label: 'Display preferences',
+                preamble: 'Choose how the application is displayed for you.',
+                themes: {
+                    auto: 'Follow the system setting',
+                    t_dark_color: 'Dark',
+                    t_default_color: 'Light',
+                    t_default_layout: 'Default'
+                },
+                title: 'Display preferences'
+            },
+            tenants: {
+                switcher: {
+                    date_label: 'Effective date: ',
+                    entity_label: 'Tenant: ',
+                    entity_placeholder: 'Choose a tenant',
+                    menu_label: 'Current tenant',
+                    none: 'You are not a user of any tenant',
+                    preamble: 'Choose the tenant you work in, and the date at which its characteristics apply.',
+                    record_label: 'Effective record: ',
+                    record_none: 'No record of this tenant is valid at this date',
+                    record_validity: '%s, valid from %s to %s',
+                    title: 'Current tenant'
+                }
             }
         }
     }
@@ -10,18 +10,259 @@ Meteor.APP.i18n = {
     ...{
         fr: {
             accounts: {
+                apikeys: {
+                    created_th: 'Créée le',
+                    expire_label: 'Date d\'expiration: ',
+                    expire_th: 'Expire le',
+                    generate_button: 'Générer une nouvelle clé',
+                    generated_text: 'Copiez cette clé d\'API maintenant: elle ne sera plus affichée.',
+                    id_th: 'Identifiant',
+                    label_label: 'Libellé: ',
+                    label_th: 'Libellé',
+                    none: 'Aucune clé d\'API n\'a encore été générée',
+                    preamble: 'Les clés d\'API permettent à vos intégrations de s\'authentifier auprès de l\'API REST en tant que jeton \'Bearer\'.',
+                    revoke_button: 'Révoquer',
+                    save_first: 'Les clés d\'API pourront être générées une fois le compte enregistré',
+                    status_active: 'Active',
+                    status_expired: 'Expirée',
+                    status_revoked: 'Révoquée',
+                    status_th: 'Statut',
+                    tab_title: 'Clés d\'API',
+                    used_th: 'Dernière utilisation'
+                },
+                check: {
+                    apikey_expire_invalid: 'La date d\'expiration n\'est pas valide',
+                    apikey_expire_past: 'La date d\'expiration doit être dans le futur',
+                    apikey_label_long: 'Le libellé ne doit pas dépasser %s caractères',
+                    apikey_label_unset: 'Le libellé de la clé d\'API est obligatoire',
+                    boolean_invalid: 'La valeur de \'%s\' doit être true ou false',
+                    email_invalid: 'L\'adresse email \'%s\' n\'est pas valide',
+                    email_unset: 'L\'adresse email est obligatoire',
+                    role_invalid: 'Le rôle \'%s\' n\'est pas valide',
+                    username_invalid: 'Le nom d\'utilisateur \'%s\' n\'est pas valide'
+                },
                 edit: {
                     api_allowed_label: 'API REST autorisée: ',
                     api_last_label: 'Dernière connexion à l\'API REST: ',
-                    tab_title: 'Application'
+                    lockout_failures: 'Non verrouillé, %s échec(s) de connexion récent(s)',
+                    lockout_label: 'Verrouillage des connexions: ',
+                    lockout_locked: 'Verrouillé jusqu\'au %s',
+                    lockout_none: 'Non verrouillé',
+                    lockout_unlock: 'Déverrouiller',
+                    tab_title: 'Application',
+                    twofactor_disabled: 'Non activée',
+                    twofactor_enabled: 'Activée',
+                    twofactor_label: 'Authentification à deux facteurs: ',
+                    twofactor_missing: 'Obligatoire mais pas encore activée',
+                    twofactor_reset: 'Réinitialiser'
+                },
+                history: {
+                    action_apikey_generate: 'Clé d\'API générée',
+                    action_apikey_revoke: 'Clé d\'API révoquée',
+                    action_twofactor_reset: 'Authentification à deux facteurs réinitialisée',
+                    action_create: 'Création',
+                    action_delete: 'Suppression',
+                    action_import: 'Import',
+                    action_lockout: 'Verrouillé après trop d\'échecs de connexion',
+                    action_th: 'Action',
+                    action_unlock: 'Déverrouillé',
+                    action_update: 'Modification',
+                    changes_th: 'Modifications',
+                    date_th: 'Date',
+                    none: 'Aucune modification n\'a été enregistrée',
+                    preamble: 'Les modifications apportées à ce compte, les plus récentes en premier.',
+                    save_first: 'L\'historique sera disponible une fois le compte enregistré',
+                    tab_title: 'Historique',
+                    user_th: 'Par'
+                },
+                import: {
+                    create_denied: 'Vous n\'êtes pas autorisé à créer ce compte',
+                    role_denied: 'Vous n\'êtes pas autorisé à attribuer le rôle \'%s\'',
+                    role_unknown: 'Le rôle \'%s\' est inconnu'
+                },
+                import_export: {
+                    email_th: 'Adresse email',
+                    enroll_label: 'Envoyer un email d\'inscription aux comptes créés',
+                    export_csv_button: 'Exporter en CSV',
+                    export_json_button: 'Exporter en JSON',
+                    export_title: 'Export',
+                    file_label: 'Fichier CSV ou JSON: ',
+                    import_button: 'Importer',
+                    import_title: 'Import',
+                    line_th: 'Ligne',
+                    menu_label: 'Import et export des comptes',
+                    message_th: 'Message',
+                    preamble: 'Exportez tous les comptes, ou créez de nouveaux comptes à partir d\'un fichier. Les comptes dont l\'adresse email existe déjà ne sont pas modifiés.',
+                    preview_button: 'Prévisualiser',
+                    status_created: 'Créé',
+                    status_duplicate: 'Existe déjà',
+                    status_error: 'Erreur',
+                    status_th: 'Statut',
+                    status_valid: 'Valide',
+                    summary: '%s ligne(s): %s valide(s) ou créée(s), %s doublon(s), %s erreur(s)',
+                    title: 'Import et export des comptes'
                 },
                 fieldset: {
                     api_allowed_dt_title: 'API REST autorisée',
                     api_connection_dt_title: 'Dernière connexion à l\'API REST'
+                },
+                twofactor: {
+                    cancel_button: 'Annuler',
+                    code_placeholder: 'Code à 6 chiffres',
+                    code_prompt: 'Veuillez saisir le code à 6 chiffres affiché par votre application d\'authentification.',
+                    code_title: 'Authentification à deux facteurs',
+                    disable_button: 'Désactiver',
+                    disabled_text: 'L\'authentification à deux facteurs n\'est pas activée sur votre compte.',
+                    enable_button: 'Activer',
+                    enabled_text: 'L\'authentification à deux facteurs est activée sur votre compte.',
+                    enroll_button: 'S\'inscrire',
+                    enroll_title: 'Inscription à l\'authentification à deux facteurs',
+                    menu_label: 'Authentification à deux facteurs',
+                    ok_button: 'OK',
+                    preamble: 'L\'authentification à deux facteurs protège votre compte par un code généré par une application d\'authentification, en plus de votre mot de passe.',
+                    recovery_button: 'Générer de nouveaux codes de secours',
+                    recovery_count: 'Il reste %s code(s) de secours.',
+                    recovery_prompt: 'Veuillez saisir l\'un de vos codes de secours.',
+                    recovery_text: 'Conservez ces codes de secours en lieu sûr: chacun d\'eux peut être utilisé une fois à la place d\'un code à 6 chiffres. Ils ne seront plus affichés.',
+                    required_text: 'Vos rôles exigent que vous activiez l\'authentification à deux facteurs.',
+                    scan_text: 'Scannez ce QR code avec votre application d\'authentification, puis saisissez le code affiché pour activer l\'authentification à deux facteurs.',
+                    secret_label: 'Ou saisissez ce secret:',
+                    use_recovery: 'Utiliser un code de secours'
                 }
             },
             app: {
                 label: 'MyApplication AppLabel'
+            },
+            emails: {
+                common: {
+                    footer: 'Cet email a été envoyé automatiquement par %s, merci de ne pas y répondre.',
+                    greeting: 'Bonjour %s,',
+                    link: 'Si le bouton ne fonctionne pas, copiez et collez ce lien dans votre navigateur:'
+                },
+                enroll_account: {
+                    button: 'Définir mon mot de passe',
+                    ignore: 'Si vous n\'attendiez pas cette invitation, vous pouvez ignorer cet email.',
+                    subject: 'Votre compte %s',
+                    text: 'Un compte a été créé pour vous sur %s. Pour commencer à l\'utiliser, veuillez définir votre mot de passe en cliquant sur le bouton ci-dessous.',
+                    title: 'Bienvenue'
+                },
+                reset_password: {
+                    button: 'Réinitialiser mon mot de passe',
+                    ignore: 'Si vous n\'avez pas demandé de réinitialisation, vous pouvez ignorer cet email: votre mot de passe ne sera pas modifié.',
+                    subject: 'Réinitialisez votre mot de passe %s',
+                    text: 'Une réinitialisation du mot de passe de votre compte sur %s a été demandée. Pour choisir un nouveau mot de passe, veuillez cliquer sur le bouton ci-dessous.',
+                    title: 'Réinitialisation du mot de passe'
+                },
+                verify_email: {
+                    button: 'Vérifier mon adresse email',
+                    ignore: 'Si vous n\'avez pas créé de compte, vous pouvez ignorer cet email.',
+                    subject: 'Vérifiez votre adresse email sur %s',
+                    text: 'Veuillez confirmer que cette adresse email est bien la vôtre afin que %s puisse vous joindre, en cliquant sur le bouton ci-dessous.',
+                    title: 'Vérification de l\'adresse email'
+                }
+            },
+            jobs: {
+                list: {
+                    description_th: 'Description',
+                    disabled: 'Désactivée',
+                    locked: 'La tâche \'%s\' est déjà en cours d\'exécution',
+                    name_th: 'Tâche',
+                    next_th: 'Prochaine exécution',
+                    none: 'Aucune tâche n\'est enregistrée',
+                    preamble: 'Les tâches exécutées périodiquement par le serveur, et leurs dernières exécutions.',
+                    run_button: 'Exécuter',
+                    schedule_th: 'Planification',
+                    title: 'Tâches planifiées'
+                },
+                menu_label: 'Tâches planifiées',
+                runs: {
+                    ended_th: 'Fin',
+                    host_th: 'Hôte',
+                    name_th: 'Tâche',
+                    output_th: 'Sortie',
+                    started_th: 'Début',
+                    status_error: 'Erreur',
+                    status_running: 'En cours',
+                    status_success: 'Succès',
+                    status_th: 'Statut',
+                    title: 'Dernières exécutions'
+                }
+            },
+            mails: {
+                inbox: {
+                    clear_button: 'Tout supprimer',
+                    date_th: 'Date',
+                    from_label: 'De: ',
+                    links_label: 'Liens: ',
+                    none: 'Aucun email n\'a été capturé',
+                    preamble: 'Les emails qui ont été capturés au lieu d\'être envoyés, les plus récents en premier.',
+                    reload_button: 'Recharger',
+                    subject_label: 'Objet: ',
+                    subject_th: 'Objet',
+                    title: 'Emails capturés',
+                    to_label: 'À: ',
+                    to_th: 'À'
+                },
+                menu_label: 'Emails capturés'
+            },
+            maintenance: {
+                admin: {
+                    enabled_label: 'Mode maintenance: ',
+                    forced: 'Le mode maintenance est imposé par les paramètres de l\'environnement, et ne peut pas être désactivé ici.',
+                    message_label: 'Message: ',
+                    preamble: 'Tant que le mode maintenance est actif, seuls les administrateurs de l\'application peuvent se connecter et l\'utiliser. Les autres utilisateurs voient une page de maintenance, et les routes du serveur répondent avec un statut 503.',
+                    save_button: 'Enregistrer',
+                    title: 'Mode maintenance'
+                },
+                menu_label: 'Mode maintenance',
+                overlay: {
+                    admin_button: 'Se connecter en tant qu\'administrateur',
+                    text: 'L\'application est actuellement en maintenance. Merci de revenir dans quelques minutes.',
+                    title: 'Maintenance en cours'
+                }
+            },
+            permissions_audit: {
+                list: {
+                    allowed: 'Autorisé',
+                    created_th: 'Date',
+                    decision_th: 'Décision',
+                    denied: 'Refusé',
+                    preamble: 'Les décisions d\'autorisation prises par l\'application, les plus récentes en premier.',
+                    scope_th: 'Périmètre',
+                    target_th: 'Cible',
+                    task_th: 'Tâche',
+                    title: 'Audit des autorisations',
+                    user_th: 'Utilisateur'
+                },
+                menu_label: 'Audit des autorisations'
+            },
+            preferences: {
+                color_label: 'Thème de couleurs: ',
+                default_option: 'Valeur par défaut de l\'application',
+                layout_label: 'Thème de mise en page: ',
+                menu_label: 'Préférences d\'affichage',
+                preamble: 'Choisissez comment l\'application s\'affiche pour vous.',
+                themes: {
+                    auto: 'Suivre le réglage du système',
+                    t_dark_color: 'Sombre',
+                    t_default_color: 'Clair',
+                    t_default_layout: 'Par défaut'
+                },
+                title: 'Préférences d\'affichage'
+            },
+            tenants: {
+                switcher: {
+                    date_label: 'Date d\'effet: ',
+                    entity_label: 'Organisation: ',
+                    entity_placeholder: 'Choisissez une organisation',
+                    menu_label: 'Organisation courante',
+                    none: 'Vous n\'êtes utilisateur d\'aucune organisation',
+                    preamble: 'Choisissez l\'organisation dans laquelle vous travaillez, et la date à laquelle ses caractéristiques s\'appliquent.',
+                    record_label: 'Enregistrement en vigueur: ',
+                    record_none: 'Aucun enregistrement de cette organisation n\'est valide à cette date',
+                    record_validity: '%s, valide du %s au %s',
+                    title: 'Organisation courante'
+                }
             }
         }
     }
@@ -13,6 +13,11 @@ import { pwixI18n } from 'meteor/pwix:i18n';
 
 import { Accounts } from '../collections/accounts/index.js';
 
+// the hooks may receive either the account identifier or the account object
+const _id = function( item ){
+    return _.isString( item ) ? item : item?._id;
+};
+
 let _args = {
     /* from AccountsHub.ahClass
     */
@@ -20,6 +25,8 @@ let _args = {
     //haveEmailAddress: AccountsHub.C.Identifier.MANDATORY,
     //haveUsername: AccountsHub.C.Identifier.NONE,
     //informWrongEmail: AccountsHub.C.WrongEmail.ERROR,
+    // handle the second login step when the two-factor authentication is enabled
+    onSignin: Accounts.twoFactor.signin,
     //onSignin: Meteor.loginWithPassword,
     //passwordLength: 10
     //passwordStrength: AccountsHub.C.Password.STRONG,
@@ -58,7 +65,7 @@ let _args = {
             optional: true,
             dt_title: pwixI18n.label( I18N, 'accounts.fieldset.api_connection_dt_title' ),
             dt_render( data, type, rowData ){
-                return rowData.apiConnection ? strftime( AccountsManager.configure().datetime, rowData.lastConnection ) : '';
+                return rowData.apiConnection ? strftime( AccountsManager.configure().datetime, rowData.apiConnection ) : '';
             },
             dt_className: 'dt-center',
             form_status: false,
@@ -75,6 +82,18 @@ let _args = {
                     paneid: 'app_account_pane',
                     navLabel: pwixI18n.label( I18N, 'accounts.edit.tab_title' ),
                     paneTemplate: 'account_edit_pane'
+                },
+                {
+                    tabid: 'app_apikeys_tab',
+                    paneid: 'app_apikeys_pane',
+                    navLabel: pwixI18n.label( I18N, 'accounts.apikeys.tab_title' ),
+                    paneTemplate: 'account_apikeys_pane'
+                },
+                {
+                    tabid: 'app_history_tab',
+                    paneid: 'app_history_pane',
+                    navLabel: pwixI18n.label( I18N, 'accounts.history.tab_title' ),
+                    paneTemplate: 'account_history_pane'
                 }
             ]
         }
@@ -93,9 +112,24 @@ let _args = {
     hideDisabled: false,
     //hideDisabled: true,
     //preNewFn: null,
-    //postNewFn: null,
-    //preUpdateFn: null,
-    //postUpdateFn: null,
+    // record the account history
+    //  this is only done on the server, where the hooks run inside the accounts manager methods, so that the client can neither
+    //  skip nor forge the records
+    async postNewFn( item ){
+        if( Meteor.isServer && _id( item )){
+            await Accounts.s.historyCreated( _id( item ), Meteor.userId());
+        }
+    },
+    async preUpdateFn( item ){
+        if( Meteor.isServer && _id( item )){
+            await Accounts.s.historySnapshot( _id( item ), Meteor.userId());
+        }
+    },
+    async postUpdateFn( item ){
+        if( Meteor.isServer && _id( item )){
+            await Accounts.s.historyUpdated( _id( item ), Meteor.userId());
+        }
+    },
     //scopesFn: null,
     //serverTabularExtend: null,
     //tabularActiveCheckboxes: false,
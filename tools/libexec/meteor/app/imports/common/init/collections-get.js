@@ -2,6 +2,9 @@
  * /imports/common/init/collections-get.js
  *
  * Used when managing dynamic publications to dynamic collections, typically for example for a tabular display of a collection with validities...
+ *
+ * The returned collections are not restricted to any tenant: server-side, tenant-owned data should be accessed through
+ * Meteor.APP.Collections.scoped(), see /imports/server/init/collections-scoped.js.
  */
 
 import _ from 'lodash';
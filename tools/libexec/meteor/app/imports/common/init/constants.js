@@ -19,9 +19,29 @@ Meteor.APP.C = {
     ],
 
     // display
+    //  the default themes, and the themes the user may choose among in their preferences
+    //  the 'auto' color theme follows the 'prefers-color-scheme' of the operating system, choosing between the light and dark themes
     colorTheme: 't-default-color',
+    colorThemes: [
+        't-default-color',
+        't-dark-color'
+    ],
+    colorThemeAuto: 'auto',
+    colorThemeDark: 't-dark-color',
+    colorThemeLight: 't-default-color',
     layoutTheme: 't-default-layout',
+    layoutThemes: [
+        't-default-layout'
+    ],
     useBootstrapValidationClasses: true,
+
+    // the REST API
+    restPrefix: '/api/v1',
+
+    // the tenants collections, as managed by pwix:tenants-manager
+    //  each tenant is an entity, with one or more validity records which refer to it through their 'entity' field
+    tenantsEntities: 'tenants_e',
+    tenantsRecords: 'tenants_r'
 };
 
 I18N = 'MyApplication.Internationalization';
@@ -13,5 +13,53 @@ import { AppPages } from 'meteor/pwix:app-pages';
 AppPages.displayUnitDefs = {
     ... AppPages.displayUnitDefs,
     ... {
+        accounts_import_export: {
+            route: '/admin/accounts-import-export',
+            template: 'accounts_import_export',
+            wantPermission: 'app.accounts.import_export',
+            menuLabel: { namespace: I18N, i18n: 'accounts.import_export.menu_label' }
+        },
+        jobs: {
+            route: '/admin/jobs',
+            template: 'jobs_page',
+            wantPermission: 'app.jobs.list',
+            menuLabel: { namespace: I18N, i18n: 'jobs.menu_label' }
+        },
+        mails_inbox: {
+            route: '/admin/mails',
+            template: 'mails_inbox',
+            wantPermission: 'app.mails.inbox',
+            menuLabel: { namespace: I18N, i18n: 'mails.menu_label' }
+        },
+        maintenance_page: {
+            route: '/admin/maintenance',
+            template: 'maintenance_page',
+            wantPermission: 'app.maintenance.toggle',
+            menuLabel: { namespace: I18N, i18n: 'maintenance.menu_label' }
+        },
+        permissions_audit: {
+            route: '/admin/permissions-audit',
+            template: 'permissions_audit_page',
+            wantPermission: 'app.permissions_audit.list',
+            menuLabel: { namespace: I18N, i18n: 'permissions_audit.menu_label' }
+        },
+        tenant_switcher: {
+            route: '/account/tenant',
+            template: 'tenant_switcher',
+            wantPermission: 'pwix.tenants_manager.feat.list',
+            menuLabel: { namespace: I18N, i18n: 'tenants.switcher.menu_label' }
+        },
+        two_factor: {
+            route: '/account/two-factor',
+            template: 'two_factor_enroll',
+            wantPermission: 'app.twofactor.self',
+            menuLabel: { namespace: I18N, i18n: 'accounts.twofactor.menu_label' }
+        },
+        ui_preferences: {
+            route: '/account/preferences',
+            template: 'ui_preferences',
+            wantPermission: 'app.preferences.self',
+            menuLabel: { namespace: I18N, i18n: 'preferences.menu_label' }
+        }
     }
 };
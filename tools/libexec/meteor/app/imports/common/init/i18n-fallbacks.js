@@ -0,0 +1,67 @@
+/*
+ * /imports/common/init/i18n-fallbacks.js
+ *
+ * Optionally log each label of our namespace which is not translated in the current language, and so falls back to another
+ * language, or to the raw key when no language defines it. Each key is logged once per language.
+ *
+ * Configuration is read from the 'i18n' key of the environment settings:
+ *  "i18n": {
+ *      "logFallbacks": false
+ *  }
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { pwixI18n } from 'meteor/pwix:i18n';
+import { Tracker } from 'meteor/tracker';
+
+import { I18nChecker } from '/imports/common/classes/i18n-checker.class.js';
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'i18n' );
+
+let checker = null;
+let installed = false;
+let logged = new Set();
+
+// wrap pwixI18n.label() so that each call of our namespace is checked while the fallbacks are logged
+const _install = function(){
+    const label = pwixI18n.label;
+    pwixI18n.label = function( namespace, key, ...args ){
+        if( checker && namespace === I18N && _.isString( key )){
+            const language = pwixI18n.language();
+            const res = checker.resolve( language, key );
+            if( res !== 'defined' && !logged.has( language+':'+key )){
+                logged.add( language+':'+key );
+                if( res === 'fallback' ){
+                    logger.warn( 'key \''+key+'\' is not translated in \''+language+'\', falling back to another language' );
+                } else {
+                    logger.warn( 'key \''+key+'\' is not defined in any language, displaying the raw key' );
+                }
+            }
+        }
+        return label.call( pwixI18n, namespace, key, ...args );
+    };
+    installed = true;
+};
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        EnvSettings.environmentSettings()
+            .then(( settings ) => {
+                if( settings?.i18n?.logFallbacks === true ){
+                    if( !installed ){
+                        _install();
+                    }
+                    checker = new I18nChecker( Meteor.APP.i18n, Meteor.APP.C.managedLanguages );
+                } else {
+                    checker = null;
+                }
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -20,12 +20,14 @@ if( false ){
 import './collection2.js';
 import './constants.js';
 import './i18n.js';
+import './i18n-fallbacks.js';
+import './logger.js';
 import './permissions.js';
+import './permissions-matrix.js';
 //
 import './accounts-base.js';
 import './accounts-hub.js';
 import './accounts-manager.js';
-import './accounts-manager-permissions.js';
 import './accounts-manager-users.js';
 import './accounts-ui.js';
 import './app-pages.js';
@@ -51,10 +53,9 @@ import './notes.js';
 import './roles.js';
 import './startup-app-admin.js';
 import './tabbed.js';
-//_import './tables.js';
+import './tables.js';
 import './tabular.js';
 import './tenants-manager.js';
-import './tenants-manager-permissions.js';
 import './tolert.js';
 import './ui-layout.js';
 import './validity.js';
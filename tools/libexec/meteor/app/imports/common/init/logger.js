@@ -0,0 +1,42 @@
+/*
+ * /imports/common/init/logger.js
+ *
+ * Configure the application logger.
+ *
+ * Configuration is read from the 'logging' key of the environment settings:
+ *  "logging": {
+ *      "level": "info",            // the default level: 'error', 'warn', 'info', 'verbose' or 'debug'
+ *      "format": "ttp",            // the output format: 'ttp' or 'json'
+ *      "namespaces": {             // per-namespace levels
+ *          "jobs": "debug"
+ *      },
+ *      "file": {                   // server-side log file, see /imports/server/init/logger.js
+ *          "enabled": false,
+ *          "path": "/var/log/MyApplication/MyApplication.log",
+ *          "maxSize": 10485760,
+ *          "maxFiles": 5
+ *      }
+ *  }
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '../classes/logger.class.js';
+
+Logger.context({ application: Meteor.APP.C.appName });
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        EnvSettings.environmentSettings()
+            .then(( settings ) => {
+                Logger.configure( settings?.logging );
+            })
+            .catch(( e ) => {
+                Logger.get( 'logger' ).error( e );
+            });
+    }
+});
@@ -0,0 +1,111 @@
+/*
+ * /imports/common/init/permissions-matrix.js
+ *
+ * Compile the declarative permissions matrix into Permissions.set() trees.
+ *
+ * The matrix is read from private/config/public/permissions.json, and may be overriden per environment with a 'permissions' key
+ * of the environment settings, e.g. to restrict the accounts creation to the global accounts managers:
+ *
+ *  "permissions": {
+ *      "pwix.accounts_manager.feat.create": {
+ *          "roles": [ "ACCOUNTS_MANAGER" ],
+ *          "amInstances": [ "users" ]
+ *      }
+ *  }
+ *
+ * See permissions.json for a description of the rules. Compiled rules override the permissions which are hard-coded elsewhere.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Permissions } from 'meteor/pwix:permissions';
+import { Roles } from 'meteor/pwix:roles';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '../classes/logger.class.js';
+
+const logger = Logger.get( 'permissions-matrix' );
+
+// returns the scope of the task, or null
+const _scope = function( rule, args ){
+    if( rule.scopeFrom === 'item' ){
+        return _.isString( args ) ? args : ( args?._id || null );
+    }
+    return args?.scope || null;
+};
+
+// whether the user has at least one of the roles
+const _hasOne = async function( userId, roles, opts ){
+    for( const role of roles || [] ){
+        if( await Roles.userIsInRoles( userId, role, opts )){
+            return true;
+        }
+    }
+    return false;
+};
+
+export const PermissionsMatrix = {
+    /**
+     * @param {Object} matrix a task path -> rule object
+     * @returns {Object} a tree suitable for Permissions.set()
+     */
+    compile( matrix ){
+        let tree = {};
+        Object.keys( matrix || {} ).forEach(( task ) => {
+            if( task !== 'comments' ){
+                _.set( tree, task, PermissionsMatrix.rule( matrix[task] ));
+            }
+        });
+        return tree;
+    },
+
+    /**
+     * @param {Object} rule a rule of the matrix
+     * @returns {Function} the async permission function with proto: async fn( userId<String>, args<Any> ): Boolean
+     */
+    rule( rule ){
+        return async function( userId, args ){
+            if( !userId ){
+                return false;
+            }
+            if( rule.connected === true ){
+                return true;
+            }
+            if( rule.amInstances && !rule.amInstances.includes( args?.amInstance?.name())){
+                return false;
+            }
+            if( rule.compareLevels === true && args?.id && await Roles.compareLevels( userId, args.id ) < 0 ){
+                return false;
+            }
+            if( await _hasOne( userId, rule.roles )){
+                return true;
+            }
+            const scope = _scope( rule, args );
+            if( scope ){
+                return await _hasOne( userId, rule.scopedRoles, { scope: scope });
+            }
+            if( rule.anyScope === true ){
+                return await _hasOne( userId, rule.scopedRoles, { anyScope: true });
+            }
+            return false;
+        };
+    }
+};
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        EnvSettings.environmentSettings()
+            .then(( settings ) => {
+                const matrix = {
+                    ...( Meteor.settings.public?.[Meteor.APP.C.appName]?.permissions?.matrix || {} ),
+                    ...( settings?.permissions || {} )
+                };
+                Permissions.set( PermissionsMatrix.compile( matrix ));
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -7,6 +7,8 @@
  * For each terminal node, the permission can be specified as: 
  * - an async function with proto: async fn( user<String|Object> ): Boolean
  * - a role name or a list of role names which are or-ed
+ *
+ * Most of the permissions are declared in the private/config/public/permissions.json matrix, see permissions-matrix.js.
  */
 
 import _ from 'lodash';
@@ -15,6 +17,10 @@ import { strict as assert } from 'node:assert';
 import { Permissions } from 'meteor/pwix:permissions';
 //import { Roles } from 'meteor/pwix:roles';
 
+import { Logger } from '../classes/logger.class.js';
+
+const logger = Logger.get( 'permissions' );
+
 Permissions.configure({
     allowedIfTaskNotFound: false,
     //allowedIfTaskNotFound: true,
@@ -37,3 +43,32 @@ Permissions.configure({
 
 Permissions.set({
 });
+
+// let other modules observe each permission decision, e.g. to record an audit trail
+//  observers are called with an object { task, userId, args, allowed }
+//  they are not awaited, so that they do not delay the decision
+//  this must be done before any package is configured with Permissions.isAllowed as its allowFn
+const _observers = [];
+const _isAllowed = Permissions.isAllowed;
+
+Permissions.isAllowed = async function( task, userId, ...args ){
+    const allowed = await _isAllowed.call( Permissions, task, userId, ...args );
+    _observers.forEach(( fn ) => {
+        Promise.resolve()
+            .then(() => fn({ task: task, userId: userId, args: args, allowed: allowed }))
+            .catch(( e ) => {
+                logger.error( 'observer', e );
+            });
+    });
+    return allowed;
+};
+
+Meteor.APP.Permissions = {
+    /**
+     * @summary Register an observer of the permission decisions
+     * @param {Function} fn an async function with proto: async fn( o<Object> )
+     */
+    onDecision( fn ){
+        _observers.push( fn );
+    }
+};
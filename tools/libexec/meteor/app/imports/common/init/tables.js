@@ -0,0 +1,11 @@
+/*
+ * /imports/common/init/tables.js
+ *
+ * Tabular tables must be defined both on the client and the server.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import '../collections/jobs-runs/index.js';
+import '../collections/permissions-audit/index.js';
@@ -0,0 +1,52 @@
+/*
+ * /imports/server/classes/counter.class.js
+ *
+ * A counter only goes up.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Metric } from './metric.class.js';
+
+export class Counter extends Metric {
+
+    // static data
+
+    // static methods
+
+    // private data
+
+    // private methods
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {String} name the metric name
+     * @param {String} help a one-line description
+     * @param {Array<String>} labelNames the ordered list of the label names
+     * @returns {Counter} this instance
+     */
+    constructor( name, help, labelNames=[] ){
+        super( ...arguments );
+        return this;
+    }
+
+    /**
+     * @summary Increment the counter
+     * @param {Object} labels an optional label name -> value object
+     * @param {Number} value the increment, defaulting to 1
+     */
+    inc( labels={}, value=1 ){
+        assert.ok( value >= 0, 'Counter.inc() expects a positive increment' );
+        this.entry( labels, () => 0 ).value += value;
+    }
+
+    /**
+     * @returns {String} the Prometheus type
+     */
+    type(){
+        return 'counter';
+    }
+}
@@ -0,0 +1,157 @@
+/*
+ * /imports/server/classes/cron-schedule.class.js
+ *
+ * A cron-like schedule, computing the next run time of a job.
+ *
+ * The schedule is either a standard five-fields 'minute hour day-of-month month day-of-week' expression,
+ * where each field accepts '*', values, 'a-b' ranges, 'a,b' lists and '/n' steps, or one of the '@hourly',
+ * '@daily', '@weekly', '@monthly' and '@yearly' shortcuts.
+ * As in cron, when both the day of month and the day of week are restricted, a day matches if any of them matches.
+ * Times are computed in the local timezone of the server.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export class CronSchedule {
+
+    // static data
+
+    static Shortcuts = {
+        '@annually': '0 0 1 1 *',
+        '@daily': '0 0 * * *',
+        '@hourly': '0 * * * *',
+        '@midnight': '0 0 * * *',
+        '@monthly': '0 0 1 * *',
+        '@weekly': '0 0 * * 0',
+        '@yearly': '0 0 1 1 *'
+    };
+
+    // the bounds of each field, day of week accepting both 0 and 7 for sunday
+    static Fields = [
+        { name: 'minute', min: 0, max: 59 },
+        { name: 'hour', min: 0, max: 23 },
+        { name: 'dayOfMonth', min: 1, max: 31 },
+        { name: 'month', min: 1, max: 12 },
+        { name: 'dayOfWeek', min: 0, max: 7 }
+    ];
+
+    // the max count of years searched for a next run time
+    static MaxYears = 5;
+
+    // static methods
+
+    /**
+     * @param {String} str a field of the expression
+     * @param {Object} field the definition of the field
+     * @returns {Set<Integer>} the matching values
+     * @throws {Error} when the field is not valid
+     */
+    static parseField( str, field ){
+        let values = new Set();
+        for( const part of str.split( ',' )){
+            const m = part.match( /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/ );
+            if( !m ){
+                throw new Error( 'invalid '+field.name+' field: \''+str+'\'' );
+            }
+            let from = field.min;
+            let to = field.max;
+            if( m[2] !== undefined ){
+                from = parseInt( m[2] );
+                to = m[3] !== undefined ? parseInt( m[3] ) : ( m[4] !== undefined ? field.max : from );
+            }
+            const step = m[4] !== undefined ? parseInt( m[4] ) : 1;
+            if( from < field.min || to > field.max || from > to || step < 1 ){
+                throw new Error( 'invalid '+field.name+' field: \''+str+'\'' );
+            }
+            for( let i=from ; i<=to ; i+=step ){
+                values.add( i );
+            }
+        }
+        return values;
+    }
+
+    // private data
+
+    #expression = null;
+    #fields = null;
+    #domRestricted = false;
+    #dowRestricted = false;
+
+    // private methods
+
+    // whether the day of the date matches the day-of-month and day-of-week fields
+    #dayMatches( date ){
+        const dom = this.#fields.dayOfMonth.has( date.getDate());
+        const dow = this.#fields.dayOfWeek.has( date.getDay()) || ( date.getDay() === 0 && this.#fields.dayOfWeek.has( 7 ));
+        if( this.#domRestricted && this.#dowRestricted ){
+            return dom || dow;
+        }
+        return dom && dow;
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {String} expression a five-fields cron expression, or a shortcut
+     * @throws {Error} when the expression is not valid
+     * @returns {CronSchedule}
+     */
+    constructor( expression ){
+        assert.ok( _.isString( expression ), 'CronSchedule() expects a string expression' );
+        this.#expression = expression.trim();
+        const words = ( CronSchedule.Shortcuts[this.#expression] || this.#expression ).split( /\s+/ );
+        if( words.length !== CronSchedule.Fields.length ){
+            throw new Error( 'invalid cron expression: \''+expression+'\'' );
+        }
+        this.#fields = {};
+        CronSchedule.Fields.forEach(( field, i ) => {
+            this.#fields[field.name] = CronSchedule.parseField( words[i], field );
+        });
+        this.#domRestricted = words[2] !== '*';
+        this.#dowRestricted = words[4] !== '*';
+        return this;
+    }
+
+    /**
+     * @returns {String} the original expression
+     */
+    expression(){
+        return this.#expression;
+    }
+
+    /**
+     * @param {Date} from the reference date, defaulting to now
+     * @returns {Date} the first run time strictly after the reference date, or null if none is found in the next years
+     */
+    next( from=new Date()){
+        let date = new Date( from.getTime());
+        date.setSeconds( 0, 0 );
+        date.setMinutes( date.getMinutes()+1 );
+        const limit = new Date( date.getTime());
+        limit.setFullYear( limit.getFullYear()+CronSchedule.MaxYears );
+        while( date < limit ){
+            if( !this.#fields.month.has( date.getMonth()+1 )){
+                date.setMonth( date.getMonth()+1, 1 );
+                date.setHours( 0, 0, 0, 0 );
+                continue;
+            }
+            if( !this.#dayMatches( date )){
+                date.setDate( date.getDate()+1 );
+                date.setHours( 0, 0, 0, 0 );
+                continue;
+            }
+            if( !this.#fields.hour.has( date.getHours())){
+                date.setHours( date.getHours()+1, 0, 0, 0 );
+                continue;
+            }
+            if( !this.#fields.minute.has( date.getMinutes())){
+                date.setMinutes( date.getMinutes()+1, 0, 0 );
+                continue;
+            }
+            return date;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,83 @@
+/*
+ * /imports/server/classes/gauge.class.js
+ *
+ * A gauge may go up and down.
+ * When a collect function is provided, it is called just before each exposition to refresh the values.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Metric } from './metric.class.js';
+
+export class Gauge extends Metric {
+
+    // static data
+
+    // static methods
+
+    // private data
+
+    #collectFn = null;
+
+    // private methods
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {String} name the metric name
+     * @param {String} help a one-line description
+     * @param {Array<String>} labelNames the ordered list of the label names
+     * @param {Function} collectFn an optional async function with proto: async fn( gauge<Gauge> )
+     * @returns {Gauge} this instance
+     */
+    constructor( name, help, labelNames=[], collectFn=null ){
+        super( name, help, labelNames );
+        this.#collectFn = collectFn;
+        return this;
+    }
+
+    /**
+     * @summary Refresh the values through the collect function, if any
+     */
+    async collect(){
+        if( this.#collectFn ){
+            await this.#collectFn( this );
+        }
+    }
+
+    /**
+     * @summary Decrement the gauge
+     * @param {Object} labels an optional label name -> value object
+     * @param {Number} value the decrement, defaulting to 1
+     */
+    dec( labels={}, value=1 ){
+        this.entry( labels, () => 0 ).value -= value;
+    }
+
+    /**
+     * @summary Increment the gauge
+     * @param {Object} labels an optional label name -> value object
+     * @param {Number} value the increment, defaulting to 1
+     */
+    inc( labels={}, value=1 ){
+        this.entry( labels, () => 0 ).value += value;
+    }
+
+    /**
+     * @summary Set the gauge value
+     * @param {Object} labels a label name -> value object
+     * @param {Number} value
+     */
+    set( labels, value ){
+        this.entry( labels, () => 0 ).value = value;
+    }
+
+    /**
+     * @returns {String} the Prometheus type
+     */
+    type(){
+        return 'gauge';
+    }
+}
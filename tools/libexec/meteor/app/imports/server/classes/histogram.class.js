@@ -0,0 +1,81 @@
+/*
+ * /imports/server/classes/histogram.class.js
+ *
+ * A histogram samples observations in configurable buckets, also providing a count and a sum of all observed values.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Metric } from './metric.class.js';
+
+export class Histogram extends Metric {
+
+    // static data
+
+    // default buckets, in seconds
+    static Buckets = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+    // static methods
+
+    // private data
+
+    #buckets = null;
+
+    // private methods
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {String} name the metric name
+     * @param {String} help a one-line description
+     * @param {Array<String>} labelNames the ordered list of the label names
+     * @param {Array<Number>} buckets the upper bounds of the buckets, defaulting to Histogram.Buckets
+     * @returns {Histogram} this instance
+     */
+    constructor( name, help, labelNames=[], buckets=null ){
+        super( name, help, labelNames );
+        this.#buckets = [ ...( buckets || Histogram.Buckets ) ].sort(( a, b ) => a-b );
+        return this;
+    }
+
+    /**
+     * @summary Record an observation
+     * @param {Object} labels a label name -> value object
+     * @param {Number} value the observed value
+     */
+    observe( labels, value ){
+        const entry = this.entry( labels, () => ({ buckets: this.#buckets.map(() => 0 ), count: 0, sum: 0 }));
+        this.#buckets.forEach(( bound, i ) => {
+            if( value <= bound ){
+                entry.value.buckets[i] += 1;
+            }
+        });
+        entry.value.count += 1;
+        entry.value.sum += value;
+    }
+
+    /**
+     * @returns {Array<String>} the Prometheus text lines of the samples
+     */
+    samples(){
+        const lines = [];
+        this.entries().forEach(( it ) => {
+            this.#buckets.forEach(( bound, i ) => {
+                lines.push( this.name()+'_bucket'+Metric.labelsStr({ ...it.labels, le: String( bound )})+' '+it.value.buckets[i] );
+            });
+            lines.push( this.name()+'_bucket'+Metric.labelsStr({ ...it.labels, le: '+Inf' })+' '+it.value.count );
+            lines.push( this.name()+'_sum'+Metric.labelsStr( it.labels )+' '+it.value.sum );
+            lines.push( this.name()+'_count'+Metric.labelsStr( it.labels )+' '+it.value.count );
+        });
+        return lines;
+    }
+
+    /**
+     * @returns {String} the Prometheus type
+     */
+    type(){
+        return 'histogram';
+    }
+}
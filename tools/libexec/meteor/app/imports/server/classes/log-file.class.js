@@ -0,0 +1,90 @@
+/*
+ * /imports/server/classes/log-file.class.js
+ *
+ * A size-rotated log file.
+ *
+ * When the file would exceed its max size, it is renamed to '<path>.1', the previous '<path>.1' to '<path>.2', and so on,
+ * the oldest file being removed so that at most maxFiles rotated files are kept.
+ * Writes are synchronous so that the lines are kept in order, and not lost when the process exits.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export class LogFile {
+
+    // static data
+
+    static Defaults = {
+        maxSize: 10*1024*1024,
+        maxFiles: 5
+    };
+
+    // static methods
+
+    // private data
+
+    #path = null;
+    #maxSize = null;
+    #maxFiles = null;
+    #size = null;
+
+    // private methods
+
+    // rotate the files
+    #rotate(){
+        for( let i=this.#maxFiles ; i>=1 ; --i ){
+            const from = i === 1 ? this.#path : this.#path+'.'+( i-1 );
+            const to = this.#path+'.'+i;
+            if( fs.existsSync( from )){
+                if( i === this.#maxFiles && fs.existsSync( to )){
+                    fs.rmSync( to );
+                }
+                fs.renameSync( from, to );
+            }
+        }
+        this.#size = 0;
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {Object} o an object with following keys:
+     *  - path: the path of the log file, its directory being created if needed
+     *  - maxSize: the max size of the file in bytes, defaulting to 10 MB
+     *  - maxFiles: the max count of rotated files, defaulting to 5
+     * @returns {LogFile} this instance
+     */
+    constructor( o ){
+        assert.ok( o && _.isString( o.path ) && o.path.length, 'LogFile() expects a path' );
+        this.#path = o.path;
+        this.#maxSize = o.maxSize || LogFile.Defaults.maxSize;
+        this.#maxFiles = o.maxFiles || LogFile.Defaults.maxFiles;
+        fs.mkdirSync( path.dirname( this.#path ), { recursive: true });
+        this.#size = fs.existsSync( this.#path ) ? fs.statSync( this.#path ).size : 0;
+        return this;
+    }
+
+    /**
+     * @returns {String} the path of the log file
+     */
+    path(){
+        return this.#path;
+    }
+
+    /**
+     * @param {String} line a line to be appended, without its end-of-line
+     */
+    write( line ){
+        const data = line+'\n';
+        const size = Buffer.byteLength( data );
+        if( this.#size > 0 && this.#size + size > this.#maxSize ){
+            this.#rotate();
+        }
+        fs.appendFileSync( this.#path, data );
+        this.#size += size;
+    }
+}
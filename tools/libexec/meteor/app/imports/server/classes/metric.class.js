@@ -0,0 +1,129 @@
+/*
+ * /imports/server/classes/metric.class.js
+ *
+ * The base class of the metrics managed by the MetricsRegistry.
+ * A metric holds one value per set of label values.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export class Metric {
+
+    // static data
+
+    // static methods
+
+    /**
+     * @param {String} value a label value
+     * @returns {String} the value escaped for the Prometheus text format
+     */
+    static escape( value ){
+        return String( value ).replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ).replace( /\n/g, '\\n' );
+    }
+
+    /**
+     * @param {Object} labels a label name -> value object
+     * @returns {String} the labels as a Prometheus '{name="value",...}' string, or an empty string
+     */
+    static labelsStr( labels ){
+        const keys = Object.keys( labels );
+        return keys.length ? '{'+keys.map(( key ) => key+'="'+Metric.escape( labels[key] )+'"' ).join( ',' )+'}' : '';
+    }
+
+    // private data
+
+    #name = null;
+    #help = null;
+    #labelNames = null;
+
+    // label values key -> { labels, value }
+    #entries = new Map();
+
+    // private methods
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {String} name the metric name
+     * @param {String} help a one-line description
+     * @param {Array<String>} labelNames the ordered list of the label names
+     * @returns {Metric} this instance
+     */
+    constructor( name, help, labelNames=[] ){
+        assert.ok( name && /^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test( name ), 'Metric() invalid name: '+name );
+        this.#name = name;
+        this.#help = help || '';
+        this.#labelNames = labelNames;
+        return this;
+    }
+
+    /**
+     * @returns {Array<Object>} the list of { labels, value } entries
+     */
+    entries(){
+        return [ ...this.#entries.values() ];
+    }
+
+    /**
+     * @summary Returns the entry for the provided labels, creating it if needed
+     *  To be used by derived classes.
+     * @param {Object} labels a label name -> value object
+     * @param {Function} init a function which returns the initial value of a new entry
+     * @returns {Object} the { labels, value } entry
+     */
+    entry( labels, init ){
+        const ordered = {};
+        this.#labelNames.forEach(( it ) => { ordered[it] = labels?.[it] ?? ''; });
+        const key = JSON.stringify( Object.values( ordered ));
+        let found = this.#entries.get( key );
+        if( !found ){
+            found = { labels: ordered, value: init() };
+            this.#entries.set( key, found );
+        }
+        return found;
+    }
+
+    /**
+     * @returns {String} the metric description
+     */
+    help(){
+        return this.#help;
+    }
+
+    /**
+     * @returns {Array<String>} the label names
+     */
+    labelNames(){
+        return this.#labelNames;
+    }
+
+    /**
+     * @returns {String} the metric name
+     */
+    name(){
+        return this.#name;
+    }
+
+    /**
+     * @summary Remove all the entries
+     */
+    reset(){
+        this.#entries.clear();
+    }
+
+    /**
+     * @returns {Array<String>} the Prometheus text lines of the samples, to be implemented by derived classes
+     */
+    samples(){
+        return this.entries().map(( it ) => this.name()+Metric.labelsStr( it.labels )+' '+it.value );
+    }
+
+    /**
+     * @returns {String} the Prometheus type of the metric, to be implemented by derived classes
+     */
+    type(){
+        return 'untyped';
+    }
+}
@@ -0,0 +1,120 @@
+/*
+ * /imports/server/classes/metrics-registry.class.js
+ *
+ * A registry of counters, gauges and histograms, able to expose them in Prometheus text format.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Counter } from './counter.class.js';
+import { Gauge } from './gauge.class.js';
+import { Histogram } from './histogram.class.js';
+
+export class MetricsRegistry {
+
+    // static data
+
+    // static methods
+
+    // private data
+
+    // name -> Metric
+    #metrics = new Map();
+
+    // private methods
+
+    // returns the named metric, creating it if needed
+    #register( name, klass, fn ){
+        let metric = this.#metrics.get( name );
+        if( metric ){
+            assert.ok( metric instanceof klass, 'MetricsRegistry: '+name+' is already registered with another type' );
+        } else {
+            metric = fn();
+            this.#metrics.set( name, metric );
+        }
+        return metric;
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @returns {MetricsRegistry} this instance
+     */
+    constructor(){
+        return this;
+    }
+
+    /**
+     * @summary Refresh the gauges which have a collect function
+     */
+    async collect(){
+        for( const metric of this.#metrics.values()){
+            if( metric instanceof Gauge ){
+                await metric.collect();
+            }
+        }
+    }
+
+    /**
+     * @param {String} name
+     * @param {String} help
+     * @param {Array<String>} labelNames
+     * @returns {Counter} the named counter, created if needed
+     */
+    counter( name, help, labelNames=[] ){
+        return this.#register( name, Counter, () => new Counter( name, help, labelNames ));
+    }
+
+    /**
+     * @returns {String} the metrics in Prometheus text format
+     */
+    async exposition(){
+        await this.collect();
+        const lines = [];
+        this.metrics().forEach(( metric ) => {
+            lines.push( '# HELP '+metric.name()+' '+metric.help().replace( /\\/g, '\\\\' ).replace( /\n/g, '\\n' ));
+            lines.push( '# TYPE '+metric.name()+' '+metric.type());
+            lines.push( ...metric.samples());
+        });
+        return lines.join( '\n' )+'\n';
+    }
+
+    /**
+     * @param {String} name
+     * @param {String} help
+     * @param {Array<String>} labelNames
+     * @param {Function} collectFn an optional async function called before each exposition
+     * @returns {Gauge} the named gauge, created if needed
+     */
+    gauge( name, help, labelNames=[], collectFn=null ){
+        return this.#register( name, Gauge, () => new Gauge( name, help, labelNames, collectFn ));
+    }
+
+    /**
+     * @param {String} name
+     * @returns {Metric} the named metric, or undefined
+     */
+    get( name ){
+        return this.#metrics.get( name );
+    }
+
+    /**
+     * @param {String} name
+     * @param {String} help
+     * @param {Array<String>} labelNames
+     * @param {Array<Number>} buckets
+     * @returns {Histogram} the named histogram, created if needed
+     */
+    histogram( name, help, labelNames=[], buckets=null ){
+        return this.#register( name, Histogram, () => new Histogram( name, help, labelNames, buckets ));
+    }
+
+    /**
+     * @returns {Array<Metric>} the registered metrics, ordered by name
+     */
+    metrics(){
+        return [ ...this.#metrics.values() ].sort(( a, b ) => a.name().localeCompare( b.name()));
+    }
+}
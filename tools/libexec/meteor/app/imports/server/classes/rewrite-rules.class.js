@@ -0,0 +1,126 @@
+/*
+ * /imports/server/classes/rewrite-rules.class.js
+ *
+ * An ordered list of redirect and rewrite rules, applied to the path of the requested urls.
+ *
+ * Each rule is an object with following keys:
+ *  - type: 'prefix' or 'regex', defaulting to 'prefix'
+ *  - from: with 'prefix', the path prefix to be replaced; with 'regex', a regular expression matched against the path
+ *  - to: with 'prefix', the replacement prefix; with 'regex', the replacement, which may reference the groups as '$1', '$2', ...
+ *  - action: 'redirect' to answer with a redirection, or 'rewrite' to internally serve the new path, defaulting to 'redirect'
+ *  - status: the status code of a redirection, 301, 302 or 308, defaulting to 301.
+ *
+ * Rules are tried in order, and the first matching rule wins. The query string is kept.
+ * This class doesn't depend on Meteor so that it can be unit tested.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export class RewriteRules {
+
+    // static data
+
+    static Types = [ 'prefix', 'regex' ];
+    static Actions = [ 'redirect', 'rewrite' ];
+    static Statuses = [ 301, 302, 308 ];
+
+    // static methods
+
+    /**
+     * @param {Object} rule a rule definition
+     * @param {Integer} index the index of the rule in the list
+     * @returns {Object} the normalized rule
+     * @throws {Error} when the rule is not valid
+     */
+    static parseRule( rule, index ){
+        const label = 'rewrite rule #'+index;
+        if( !_.isPlainObject( rule )){
+            throw new Error( label+': not an object' );
+        }
+        const res = {
+            type: rule.type || 'prefix',
+            from: rule.from,
+            to: rule.to,
+            action: rule.action || 'redirect',
+            status: rule.status || 301
+        };
+        if( !RewriteRules.Types.includes( res.type )){
+            throw new Error( label+': unknown type \''+res.type+'\'' );
+        }
+        if( !_.isString( res.from ) || !res.from.length || !_.isString( res.to )){
+            throw new Error( label+': expects \'from\' and \'to\' strings' );
+        }
+        if( !RewriteRules.Actions.includes( res.action )){
+            throw new Error( label+': unknown action \''+res.action+'\'' );
+        }
+        if( res.action === 'redirect' && !RewriteRules.Statuses.includes( res.status )){
+            throw new Error( label+': unsupported status '+res.status );
+        }
+        if( res.type === 'regex' ){
+            try {
+                res.regex = new RegExp( res.from );
+            } catch( e ){
+                throw new Error( label+': '+e.message );
+            }
+        }
+        return res;
+    }
+
+    // private data
+
+    #rules = null;
+
+    // private methods
+
+    // returns the new path if the rule matches the path, or null
+    #apply( rule, path ){
+        if( rule.type === 'prefix' ){
+            return path.startsWith( rule.from ) ? rule.to + path.substring( rule.from.length ) : null;
+        }
+        return rule.regex.test( path ) ? path.replace( rule.regex, rule.to ) : null;
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {Array<Object>} rules the rules definitions
+     * @throws {Error} when a rule is not valid
+     * @returns {RewriteRules} this instance
+     */
+    constructor( rules=[] ){
+        assert.ok( Array.isArray( rules ), 'RewriteRules() expects an array' );
+        this.#rules = rules.map(( it, i ) => RewriteRules.parseRule( it, i ));
+        return this;
+    }
+
+    /**
+     * @returns {Integer} the count of rules
+     */
+    count(){
+        return this.#rules.length;
+    }
+
+    /**
+     * @param {String} url the requested url, with its optional query string
+     * @returns {Object} the result of the first matching rule, as an { action, status, url } object, or null
+     *  A rule which would leave the url unchanged doesn't match, so that a redirection never loops on itself.
+     */
+    match( url ){
+        const idx = url.indexOf( '?' );
+        const path = idx < 0 ? url : url.substring( 0, idx );
+        const query = idx < 0 ? '' : url.substring( idx );
+        for( const rule of this.#rules ){
+            const res = this.#apply( rule, path );
+            if( res !== null && res !== path ){
+                return {
+                    action: rule.action,
+                    status: rule.action === 'redirect' ? rule.status : null,
+                    url: res + query
+                };
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,282 @@
+/*
+ * /imports/server/classes/tenant-collection.class.js
+ *
+ * A tenant-aware wrapper around a Mongo collection, so that the application code cannot forget to filter by tenant.
+ *
+ * Each document is stamped with the identifier of its owning tenant. Each operation is done on behalf of a user, and is restricted
+ * to the tenants (the scopes) where this user holds the 'SCOPED_USER' role, or any role above it. Holders of the global
+ * 'TENANTS_MANAGER' role, and so the application administrators, see all the tenants.
+ *
+ * Updates and removals which would reach a document of another tenant are refused as a whole, and a document cannot be moved
+ * to another tenant. Replacement documents are refused: use update operators.
+ *
+ * Usage:
+ *  const Things = Meteor.APP.Collections.scoped( 'things' );
+ *  Things.publish( 'things.all' );
+ *  Things.publishTenant( 'things.tenant' );    // client: Meteor.subscribe( 'things.tenant', Meteor.APP.runContext.entityId())
+ *  await Things.insertAsync( this.userId, { label: 'a thing' }, tenantId );
+ *  const cursor = await Things.find( this.userId, { label: /a/ });
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Roles } from 'meteor/pwix:roles';
+
+export class TenantCollection {
+
+    // static data
+
+    static Defaults = {
+        // the name of the tenant field
+        field: 'tenant',
+        // the minimal scoped role
+        role: 'SCOPED_USER',
+        // the global role which sees all the tenants
+        globalRole: 'TENANTS_MANAGER'
+    };
+
+    // static methods
+
+    /**
+     * @param {Object} selector a Mongo selector
+     * @param {String} field the name of the tenant field
+     * @param {Array<String>} scopes the allowed tenants, null for all
+     * @returns {Object} the selector restricted to the allowed tenants
+     */
+    static restrict( selector, field, scopes ){
+        if( scopes === null ){
+            return selector;
+        }
+        const scope = { [field]: { $in: scopes }};
+        if( _.isString( selector )){
+            return { _id: selector, ...scope };
+        }
+        return _.isEmpty( selector ) ? scope : { $and: [ selector, scope ]};
+    }
+
+    /**
+     * @param {Object} selector a Mongo selector
+     * @param {String} field the name of the tenant field
+     * @param {Array<String>} scopes the allowed tenants, null for all
+     * @returns {Object} the selector of the matching documents which are outside of the allowed tenants, or null if none can be
+     */
+    static outside( selector, field, scopes ){
+        if( scopes === null ){
+            return null;
+        }
+        const scope = { [field]: { $nin: scopes }};
+        if( _.isString( selector )){
+            return { _id: selector, ...scope };
+        }
+        return _.isEmpty( selector ) ? scope : { $and: [ selector, scope ]};
+    }
+
+    /**
+     * @param {Object} modifier a Mongo modifier
+     * @param {String} field the name of the tenant field
+     * @returns {String} an error message if the modifier is a replacement document or touches the tenant field, else null
+     */
+    static checkModifier( modifier, field ){
+        const keys = Object.keys( modifier || {} );
+        if( !keys.length || keys.some(( it ) => !it.startsWith( '$' ))){
+            return 'replacement documents are not allowed, use update operators';
+        }
+        // whether the path is the field, one of its subfields or one of its parents
+        const touches = function( path ){
+            return _.isString( path ) && ( path === field || path.startsWith( field+'.' ) || field.startsWith( path+'.' ));
+        };
+        for( const op of keys ){
+            for( const [ path, value ] of Object.entries( modifier[op] || {} )){
+                // the targets of $rename are written too
+                if( touches( path ) || ( op === '$rename' && touches( value ))){
+                    return 'the \''+field+'\' field cannot be modified';
+                }
+            }
+        }
+        return null;
+    }
+
+    // private data
+
+    #collection = null;
+    #field = null;
+    #role = null;
+    #globalRole = null;
+
+    // private methods
+
+    // throws a forbidden error
+    #forbidden( message ){
+        throw new Meteor.Error( 'app.tenants.forbidden', 'Forbidden: '+message );
+    }
+
+    // public data
+
+    /**
+     * Constructor
+     * @param {Mongo.Collection} collection the wrapped collection
+     * @param {Object} opts an optional options object with following keys:
+     *  - field: the name of the tenant field, defaulting to 'tenant'
+     *  - role: the minimal scoped role, defaulting to 'SCOPED_USER'
+     *  - globalRole: the global role which sees all the tenants, defaulting to 'TENANTS_MANAGER'
+     * @returns {TenantCollection} this instance
+     */
+    constructor( collection, opts={} ){
+        assert.ok( collection, 'TenantCollection() expects a collection' );
+        this.#collection = collection;
+        this.#field = opts.field || TenantCollection.Defaults.field;
+        this.#role = opts.role || TenantCollection.Defaults.role;
+        this.#globalRole = opts.globalRole || TenantCollection.Defaults.globalRole;
+        return this;
+    }
+
+    /**
+     * @returns {Mongo.Collection} the wrapped collection, for the rare code which must bypass the tenants restriction
+     */
+    collection(){
+        return this.#collection;
+    }
+
+    /**
+     * @returns {String} the name of the tenant field
+     */
+    field(){
+        return this.#field;
+    }
+
+    /**
+     * @param {String} userId
+     * @param {Object} selector
+     * @param {Object} options
+     * @returns {Mongo.Cursor} a cursor on the documents of the tenants of the user
+     */
+    async find( userId, selector={}, options={} ){
+        const scopes = await this.scopes( userId );
+        return this.#collection.find( TenantCollection.restrict( selector, this.#field, scopes ), options );
+    }
+
+    /**
+     * @param {String} userId
+     * @param {Object} selector
+     * @param {Object} options
+     * @returns {Object} the first matching document of the tenants of the user, or undefined
+     */
+    async findOneAsync( userId, selector={}, options={} ){
+        const scopes = await this.scopes( userId );
+        return await this.#collection.findOneAsync( TenantCollection.restrict( selector, this.#field, scopes ), options );
+    }
+
+    /**
+     * @summary Insert a document stamped with its owning tenant
+     * @param {String} userId
+     * @param {Object} doc the document to be inserted
+     * @param {String} tenant the owning tenant, defaulting to the tenant field of the document, or to the only tenant of the user
+     * @returns {String} the identifier of the inserted document
+     * @throws {Meteor.Error} when the tenant cannot be determined or is not allowed for the user
+     */
+    async insertAsync( userId, doc, tenant=null ){
+        const scopes = await this.scopes( userId );
+        tenant = tenant || doc[this.#field] || ( scopes?.length === 1 ? scopes[0] : null );
+        if( !tenant ){
+            this.#forbidden( 'the owning tenant must be specified' );
+        }
+        if( scopes !== null && !scopes.includes( tenant )){
+            this.#forbidden( 'tenant \''+tenant+'\' is not allowed' );
+        }
+        return await this.#collection.insertAsync({ ...doc, [this.#field]: tenant });
+    }
+
+    /**
+     * @summary Publish the documents of the tenants of the user
+     * @param {String} name the publication name
+     * @param {Function} fn an optional async function called with the publication context and arguments,
+     *  which returns an optional { selector, options } object
+     */
+    publish( name, fn=null ){
+        const self = this;
+        Meteor.publish( name, async function( ...args ){
+            if( !this.userId ){
+                this.ready();
+                return;
+            }
+            const o = fn ? await fn.apply( this, args ) || {} : {};
+            return await self.find( this.userId, o.selector || {}, o.options || {} );
+        });
+    }
+
+    /**
+     * @summary Publish the documents of the tenant selected by the client, see RunContext.entityId()
+     * @param {String} name the publication name, the publication expecting the tenant identifier as its first argument
+     * @param {Function} fn an optional async function called with the publication context and the other arguments,
+     *  which returns an optional { selector, options } object
+     */
+    publishTenant( name, fn=null ){
+        const self = this;
+        Meteor.publish( name, async function( tenant, ...args ){
+            const scopes = this.userId && _.isString( tenant ) ? await self.scopes( this.userId ) : [];
+            if( !_.isString( tenant ) || ( scopes !== null && !scopes.includes( tenant ))){
+                this.ready();
+                return;
+            }
+            const o = fn ? await fn.apply( this, args ) || {} : {};
+            return self.#collection.find( TenantCollection.restrict( o.selector || {}, self.#field, [ tenant ]), o.options || {} );
+        });
+    }
+
+    /**
+     * @summary Remove the matching documents
+     * @param {String} userId
+     * @param {Object} selector
+     * @returns {Integer} the count of removed documents
+     * @throws {Meteor.Error} when the selector matches documents of other tenants
+     */
+    async removeAsync( userId, selector ){
+        const scopes = await this.scopes( userId );
+        const outside = TenantCollection.outside( selector, this.#field, scopes );
+        if( outside && await this.#collection.find( outside, { limit: 1 }).countAsync()){
+            this.#forbidden( 'cross-tenant removal' );
+        }
+        return await this.#collection.removeAsync( TenantCollection.restrict( selector, this.#field, scopes ));
+    }
+
+    /**
+     * @param {String} userId
+     * @returns {Array<String>} the tenants the user may access, or null when the user may access all of them
+     */
+    async scopes( userId ){
+        if( !userId ){
+            return [];
+        }
+        if( await Roles.userIsInRoles( userId, this.#globalRole )){
+            return null;
+        }
+        const assignments = await Meteor.roleAssignment.find({ 'user._id': userId, 'inheritedRoles._id': this.#role, scope: { $ne: null }}).fetchAsync();
+        return _.uniq( assignments.map(( it ) => it.scope ));
+    }
+
+    /**
+     * @summary Update the matching documents
+     * @param {String} userId
+     * @param {Object} selector
+     * @param {Object} modifier update operators, which must not touch the tenant field
+     * @param {Object} options
+     * @returns {Integer} the count of updated documents
+     * @throws {Meteor.Error} when the modifier is not allowed, or the selector matches documents of other tenants
+     */
+    async updateAsync( userId, selector, modifier, options={} ){
+        const error = TenantCollection.checkModifier( modifier, this.#field );
+        if( error ){
+            this.#forbidden( error );
+        }
+        if( options.upsert ){
+            this.#forbidden( 'upserts are not allowed, use insertAsync()' );
+        }
+        const scopes = await this.scopes( userId );
+        const outside = TenantCollection.outside( selector, this.#field, scopes );
+        if( outside && await this.#collection.find( outside, { limit: 1 }).countAsync()){
+            this.#forbidden( 'cross-tenant update' );
+        }
+        return await this.#collection.updateAsync( TenantCollection.restrict( selector, this.#field, scopes ), modifier, options );
+    }
+}
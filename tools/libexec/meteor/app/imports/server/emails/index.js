@@ -0,0 +1,90 @@
+/*
+ * /imports/server/emails/index.js
+ *
+ * Localized account emails.
+ *
+ * Each email is rendered in the preferred language of its recipient, i.e. the 'preferredLanguage' of the account,
+ * falling back to the default language. Texts are read from the 'emails' key of the application translations.
+ * Emails are branded with the 'label' and 'logo' of the environment settings.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { layout } from './layout.js';
+
+// the default language of the emails
+const DefaultLanguage = 'en';
+
+export const EmailTemplates = {
+    // the Meteor Accounts email templates, and the key of their translations
+    Names: {
+        enrollAccount: 'enroll_account',
+        resetPassword: 'reset_password',
+        verifyEmail: 'verify_email'
+    },
+
+    /**
+     * @param {String} language
+     * @param {String} key a dot-separated translation key
+     * @param {Array} args the values which replace the '%s' placeholders
+     * @returns {String} the translated string, falling back to the default language
+     */
+    label( language, key, ...args ){
+        let str = _.get( Meteor.APP.i18n[language], key );
+        if( !_.isString( str )){
+            str = _.get( Meteor.APP.i18n[DefaultLanguage], key ) || key;
+        }
+        args.forEach(( it ) => {
+            str = str.replace( '%s', it );
+        });
+        return str;
+    },
+
+    /**
+     * @param {Object} user the recipient account
+     * @returns {String} the language of the emails sent to this account
+     */
+    language( user ){
+        const preferred = ( user?.preferredLanguage || '' ).split( /[-_]/ )[0].toLowerCase();
+        return preferred && Meteor.APP.i18n[preferred] ? preferred : DefaultLanguage;
+    },
+
+    /**
+     * @param {String} name the email template name, a key of EmailTemplates.Names
+     * @param {Object} o an object with following keys:
+     *  - user: the recipient account
+     *  - url: the URL of the action
+     *  - settings: the environment settings
+     *  - language: the language, defaulting to the preferred language of the recipient
+     * @returns {Object} the { subject, text, html } email
+     */
+    render( name, o ){
+        const key = this.Names[name];
+        assert.ok( key, 'EmailTemplates.render() unknown template: '+name );
+        const language = o.language && Meteor.APP.i18n[o.language] ? o.language : this.language( o.user );
+        const label = o.settings?.label || Meteor.APP.name;
+        const l = ( k, ...args ) => this.label( language, 'emails.'+k, ...args );
+        const paragraphs = [
+            l( 'common.greeting', o.user?.username || o.user?.emails?.[0]?.address || '' ),
+            l( key+'.text', label ),
+            l( key+'.ignore' )
+        ];
+        const footer = l( 'common.footer', label );
+        return {
+            subject: l( key+'.subject', label ),
+            text: paragraphs.slice( 0, 2 ).join( '\n\n' )+'\n\n'+o.url+'\n\n'+paragraphs[2]+'\n\n-- \n'+footer+'\n',
+            html: layout({
+                language: language,
+                label: label,
+                logo: o.settings?.logo ? Meteor.absoluteUrl( o.settings.logo.replace( /^\//, '' )) : '',
+                title: l( key+'.title' ),
+                paragraphs: paragraphs,
+                button: l( key+'.button' ),
+                url: o.url,
+                link: l( 'common.link' ),
+                footer: footer
+            })
+        };
+    }
+};
@@ -0,0 +1,53 @@
+/*
+ * /imports/server/emails/layout.js
+ *
+ * The HTML layout shared by all the emails, branded with the environment label and logo.
+ * Inline styles are used as most email clients ignore style sheets.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+/**
+ * @param {Object} o an object with following keys:
+ *  - language: the language of the email
+ *  - label: the application label
+ *  - logo: the absolute URL of the logo, may be empty
+ *  - title: the title of the email
+ *  - paragraphs: an array of text paragraphs
+ *  - button: the label of the action button
+ *  - url: the URL of the action
+ *  - link: the text introducing the raw URL
+ *  - footer: the footer text
+ * @returns {String} the HTML content
+ */
+export const layout = function( o ){
+    const e = _.escape;
+    return `<!DOCTYPE html>
+<html lang="${e( o.language )}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${e( o.title )}</title>
+</head>
+<body style="margin:0;padding:0;background-color:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#27272a;">
+<table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background-color:#f4f4f5;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellspacing="0" cellpadding="0" style="max-width:600px;background-color:#ffffff;border-radius:6px;">
+<tr><td style="padding:24px;border-bottom:1px solid #e4e4e7;">
+${o.logo ? `<img src="${e( o.logo )}" alt="" height="40" style="height:40px;vertical-align:middle;margin-right:12px;" />` : ''}<span style="font-size:18px;font-weight:bold;vertical-align:middle;">${e( o.label )}</span>
+</td></tr>
+<tr><td style="padding:24px;">
+<h1 style="font-size:20px;margin:0 0 16px 0;">${e( o.title )}</h1>
+${o.paragraphs.map(( it ) => `<p style="font-size:14px;line-height:20px;margin:0 0 16px 0;">${e( it )}</p>` ).join( '\n' )}
+<p style="margin:24px 0;"><a href="${e( o.url )}" style="display:inline-block;padding:10px 20px;background-color:#2563eb;color:#ffffff;text-decoration:none;border-radius:4px;font-size:14px;">${e( o.button )}</a></p>
+<p style="font-size:12px;line-height:18px;color:#71717a;margin:0;">${e( o.link )}<br /><a href="${e( o.url )}" style="color:#2563eb;word-break:break-all;">${e( o.url )}</a></p>
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #e4e4e7;font-size:12px;color:#71717a;">${e( o.footer )}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,29 @@
+/*
+ * /imports/server/init/collections-scoped.js
+ *
+ * Server-side tenant-aware access to the collections, see /imports/server/classes/tenant-collection.class.js.
+ *
+ * The client keeps using Meteor.APP.Collections.get(), as it only receives the documents published for the tenants of the user.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { TenantCollection } from '../classes/tenant-collection.class.js';
+
+Meteor.APP.Collections = {
+    ...Meteor.APP.Collections,
+    ...{
+        /**
+         * returns the tenant-aware wrapper of the named collection, maybe instanciating it if needed
+         * @param {String} name
+         * @param {Object} opts the options of the wrapper, only considered when it is instanciated
+         * @returns {TenantCollection}
+         */
+        scoped( name, opts={} ){
+            const res = this.get( name );
+            this.managed[name].scoped = this.managed[name].scoped || new TenantCollection( res, opts );
+            return this.managed[name].scoped;
+        }
+    }
+};
@@ -0,0 +1,38 @@
+/*
+ * /imports/server/init/collections-ttl.js
+ *
+ * Server-side retention of the collections through a TTL index.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+// the MongoDB error raised when an index already exists with the same name but other options
+const IndexOptionsConflict = 'IndexOptionsConflict';
+
+Meteor.APP.Collections = {
+    ...Meteor.APP.Collections,
+    ...{
+        /**
+         * @summary (Re)create the TTL index of the named collection with the given retention
+         *  An existing index with another retention is dropped and recreated, any other error being thrown to the caller.
+         * @param {String} name the collection name
+         * @param {String} field the date field the retention is computed from
+         * @param {Number} days the retention in days
+         */
+        async ttlIndex( name, field, days ){
+            const raw = this.get( name ).rawCollection();
+            const spec = { [field]: 1 };
+            const opts = { name: field+'_ttl', expireAfterSeconds: days * 86400 };
+            try {
+                await raw.createIndex( spec, opts );
+            } catch( e ){
+                if( e.codeName !== IndexOptionsConflict ){
+                    throw e;
+                }
+                await raw.dropIndex( opts.name );
+                await raw.createIndex( spec, opts );
+            }
+        }
+    }
+};
@@ -6,3 +6,7 @@ import _ from 'lodash';
 import { strict as assert } from 'node:assert';
 
 import '/imports/common/collections/accounts/server/index.js';
+import '/imports/common/collections/jobs-runs/server/index.js';
+import '/imports/common/collections/mails-captured/server/index.js';
+import '/imports/common/collections/maintenance/server/index.js';
+import '/imports/common/collections/permissions-audit/server/index.js';
@@ -1,5 +1,7 @@
 /*
  * /imports/server/init/email_templates.js
+ *
+ * Localized and branded HTML templates for the enrollment, password reset and verification emails.
  */
 
 import _ from 'lodash';
@@ -9,15 +11,37 @@ import { Accounts } from 'meteor/accounts-base';
 import { EnvSettings } from 'meteor/pwix:env-settings';
 import { Tracker } from 'meteor/tracker';
 
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { EmailTemplates } from '../emails/index.js';
+
+const logger = Logger.get( 'email-templates' );
+
 Tracker.autorun(() => {
     if( EnvSettings.ready()){
         if( Accounts.emailTemplates ){
-            EnvSettings.environmentSettings()
+            Meteor.APP.Secrets.environmentSettings()
                 .then(( settings ) => {
                     if( settings ){
                         Accounts.emailTemplates.from = settings.sender || 'NoReply <noreply@localhost';
                     }
                     Accounts.emailTemplates.siteName = Meteor.APP.name;
+                    Object.keys( EmailTemplates.Names ).forEach(( name ) => {
+                        Accounts.emailTemplates[name] = {
+                            subject( user ){
+                                return EmailTemplates.render( name, { user: user, url: '', settings: settings }).subject;
+                            },
+                            text( user, url ){
+                                return EmailTemplates.render( name, { user: user, url: url, settings: settings }).text;
+                            },
+                            html( user, url ){
+                                return EmailTemplates.render( name, { user: user, url: url, settings: settings }).html;
+                            }
+                        };
+                    });
+                })
+                .catch(( e ) => {
+                    logger.error( e );
                 });
         }
     }
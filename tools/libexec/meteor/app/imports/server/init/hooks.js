@@ -0,0 +1,117 @@
+/*
+ * /imports/server/init/hooks.js
+ *
+ * Server-side hooks, available as Meteor.APP.Hooks, which let the application modules run their own code around the method
+ * calls, the named publications and the MongoDB operations, instead of each of them rewriting the Meteor internals.
+ *
+ * The method and publication handlers are looked up by Meteor through a proxy of its registries, which returns them wrapped
+ * with the hooks: the hooks so apply to all methods and publications, whether they are defined before or after this module
+ * is loaded. The MongoDB operations are wrapped once on the Mongo.Collection and Mongo.Cursor prototypes.
+ *
+ * Must be imported before the modules which register hooks.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Mongo } from 'meteor/mongo';
+
+// the wrapped operations
+const CollectionOperations = [ 'findOneAsync', 'insertAsync', 'removeAsync', 'updateAsync', 'upsertAsync' ];
+const CursorOperations = [ 'countAsync', 'fetchAsync' ];
+
+// the registered hooks, in their registration order
+const _hooks = {
+    collection: [],
+    method: [],
+    publish: []
+};
+
+// run the hooks around fn, the first registered being the outermost, and returns the result of fn
+const _run = async function( hooks, args, fn ){
+    const next = async ( i ) => i < hooks.length ? await hooks[i]( ...args, () => next( i+1 )) : await fn();
+    return await next( 0 );
+};
+
+// returns a proxy of the handlers registry, which returns each handler wrapped by wrap( name, handler )
+//  a handler is only wrapped once, and the registry itself is left unchanged
+const _registry = function( handlers, wrap ){
+    const wrapped = new WeakMap();
+    return new Proxy( handlers, {
+        get( target, name ){
+            const fn = target[name];
+            if( !_.isFunction( fn )){
+                return fn;
+            }
+            if( !wrapped.has( fn )){
+                wrapped.set( fn, wrap( name, fn ));
+            }
+            return wrapped.get( fn );
+        }
+    });
+};
+
+// wrap the operation of the prototype with the collection hooks
+const _operation = function( proto, operation, nameOf ){
+    const fn = proto[operation];
+    proto[operation] = async function( ...args ){
+        return await _run( _hooks.collection, [ nameOf( this ), operation, args ], () => fn.apply( this, args ));
+    };
+};
+
+Meteor.server.method_handlers = _registry( Meteor.server.method_handlers, ( name, fn ) => {
+    return async function( ...args ){
+        return await _run( _hooks.method, [ name, this ], () => fn.apply( this, args ));
+    };
+});
+
+Meteor.server.publish_handlers = _registry( Meteor.server.publish_handlers, ( name, fn ) => {
+    return async function( ...args ){
+        for( const hook of _hooks.publish ){
+            if( await hook( name, this ) === false ){
+                this.ready();
+                return;
+            }
+        }
+        return await fn.apply( this, args );
+    };
+});
+
+CollectionOperations.forEach(( op ) => {
+    _operation( Mongo.Collection.prototype, op, ( collection ) => collection._name );
+});
+CursorOperations.forEach(( op ) => {
+    _operation( Mongo.Cursor.prototype, op, ( cursor ) => cursor._cursorDescription?.collectionName );
+});
+
+Meteor.APP.Hooks = {
+    /**
+     * @summary Register a function to be run around each MongoDB operation
+     * @param {Function} fn an async fn( name, operation, args, next ) function, where name is the collection name, operation the
+     *  name of the Mongo.Collection or Mongo.Cursor method and args its arguments; it must return the result of next()
+     */
+    collection( fn ){
+        assert( _.isFunction( fn ), 'expects a function' );
+        _hooks.collection.push( fn );
+    },
+
+    /**
+     * @summary Register a function to be run around each method call
+     * @param {Function} fn an async fn( name, invocation, next ) function, where invocation is the method 'this'; it must return
+     *  the result of next(), or throw to refuse the call
+     */
+    method( fn ){
+        assert( _.isFunction( fn ), 'expects a function' );
+        _hooks.method.push( fn );
+    },
+
+    /**
+     * @summary Register a function to be run before each named publication
+     * @param {Function} fn an async fn( name, subscription ) function, where subscription is the publication 'this'; it returns
+     *  false to publish nothing, or throws to refuse the subscription
+     */
+    publish( fn ){
+        assert( _.isFunction( fn ), 'expects a function' );
+        _hooks.publish.push( fn );
+    }
+};
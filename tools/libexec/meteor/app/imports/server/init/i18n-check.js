@@ -0,0 +1,66 @@
+/*
+ * /imports/server/init/i18n-check.js
+ *
+ * Development only: report at startup the incomplete translations and the keys referenced by the sources but not defined.
+ * The sources are read from the application directory, so that the keys referenced by the client code are checked too.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { I18nChecker } from '/imports/common/classes/i18n-checker.class.js';
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'i18n' );
+
+// the source directories, relative to the application directory
+const Dirs = [ 'client', 'imports', 'server' ];
+
+// returns the referenced keys of the sources of the directory, recursively
+const _references = function( root, dir ){
+    let refs = [];
+    fs.readdirSync( dir, { withFileTypes: true }).forEach(( it ) => {
+        const p = path.join( dir, it.name );
+        if( it.isDirectory()){
+            refs = refs.concat( _references( root, p ));
+        } else if( /\.(html|js)$/.test( it.name )){
+            refs = refs.concat( I18nChecker.references( fs.readFileSync( p, 'utf8' ), path.relative( root, p )));
+        }
+    });
+    return refs;
+};
+
+/**
+ * @param {String} root the application directory, defaulting to the current one
+ * @returns {Array<Object>} the keys referenced by the sources, as returned by I18nChecker.references(),
+ *  or null when the sources are not available, e.g. in a bundled application
+ */
+export const sourceReferences = function( root=process.env.PWD || process.cwd()){
+    if( !fs.existsSync( path.join( root, 'imports' ))){
+        return null;
+    }
+    let refs = [];
+    Dirs.forEach(( it ) => {
+        if( fs.existsSync( path.join( root, it ))){
+            refs = refs.concat( _references( root, path.join( root, it )));
+        }
+    });
+    return refs;
+};
+
+if( Meteor.isDevelopment ){
+    Meteor.startup(() => {
+        const refs = sourceReferences();
+        if( !refs ){
+            logger.verbose( 'sources not found, only checking the translations' );
+        }
+        const lines = new I18nChecker( Meteor.APP.i18n, Meteor.APP.C.managedLanguages ).report( refs || [] );
+        if( lines.length ){
+            lines.forEach(( it ) => { logger.warn( it ); });
+        } else {
+            logger.info( 'translations are complete in', Meteor.APP.C.managedLanguages.join( ', ' ));
+        }
+    });
+}
@@ -7,12 +7,31 @@ import { strict as assert } from 'node:assert';
 
 import '/imports/common/init/index.js';
 
+import './logger.js';
+import './settings-check.js';    // must be before other modules which use the settings
+import './secrets.js';
+import './hooks.js';      // must be before other modules which register hooks
+
+import './collections-scoped.js';
+import './collections-ttl.js';
 import './collections.js';
 import './email_templates.js';
+import './i18n-check.js';
+import './jobs.js';
+import './mail-transport.js';
+import './metrics.js';
+import './migrations.js';
+import './rate-limits.js';
 import './startup.js';
-//import './tables.js';
+import './telemetry-collect.js';
+import './telemetry-mqtt.js';
 //import './tenants-manager.js';
-//import './webapp-express.js';   // must be before other webapp's
-//import './webapp-rest-global.js';
+import './tenants-select.js';
+import './webapp-rewrites.js';  // must be before other webapp's
+import './webapp-express.js';   // must be before other webapp's, but after the rewrites
+import './webapp-maintenance.js'; // must be before the webapp's of the server routes
+import './webapp-emails-preview.js';
+import './webapp-health.js';
+import './webapp-metrics.js';
+import './webapp-rest-global.js';
 //import './webapp-rest-scoped.js';
-import './webapp-workaround.js';
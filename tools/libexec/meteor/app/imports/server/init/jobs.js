@@ -0,0 +1,265 @@
+/*
+ * /imports/server/init/jobs.js
+ *
+ * Run the scheduled jobs.
+ *
+ * Each job is registered with a cron-like schedule. At each scheduled time, every server instance tries to acquire
+ * the lock of the job in the 'jobs_locks' collection, and only the instance which gets it runs the job.
+ * Each run is recorded in the 'jobs_runs' collection.
+ *
+ * Configuration is read from the 'jobs' key of the environment settings:
+ *  "jobs": {
+ *      "enabled": true,
+ *      "lockTimeout": 3600,    // the delay in seconds after which a lock is considered stale
+ *      "retentionDays": 30,    // the runs records are automatically removed after this delay
+ *      "list": {
+ *          "<name>": {
+ *              "enabled": true,
+ *              "schedule": "..."   // overrides the schedule of the job
+ *              ...                 // other keys are passed to the job
+ *          }
+ *      }
+ *  }
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import os from 'node:os';
+
+import { check } from 'meteor/check';
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Permissions } from 'meteor/pwix:permissions';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+import { JobsRuns } from '/imports/common/collections/jobs-runs/index.js';
+
+import { CronSchedule } from '../classes/cron-schedule.class.js';
+import { Jobs } from '../jobs/index.js';
+
+const logger = Logger.get( 'jobs' );
+
+// the max delay of a timer, as longer delays overflow
+const MaxDelay = 86400*1000;
+
+// the registered jobs, keyed by name
+//  each one is { def, schedule, nextAt, timer }
+let _jobs = {};
+
+// the jobs settings, null until the scheduler is started
+let _conf = null;
+
+// (re)arm the timer of the job
+const _arm = function( name ){
+    const job = _jobs[name];
+    if( job.timer ){
+        Meteor.clearTimeout( job.timer );
+        job.timer = null;
+    }
+    job.nextAt = _conf && Meteor.APP.Jobs.enabled( name ) ? job.schedule.next() : null;
+    if( job.nextAt ){
+        const scheduledAt = job.nextAt;
+        job.timer = Meteor.setTimeout( async () => {
+            job.timer = null;
+            try {
+                if( Date.now() >= scheduledAt.getTime()){
+                    await Meteor.APP.Jobs.run( name, scheduledAt );
+                }
+            } catch( e ){
+                logger.error( name, e );
+            } finally {
+                _arm( name );
+            }
+        }, Math.min( Math.max( scheduledAt.getTime() - Date.now(), 0 ), MaxDelay ));
+    }
+};
+
+// returns the settings of the job
+const _jobConf = function( name ){
+    return _conf?.list?.[name] || {};
+};
+
+// throws if the current user is not allowed to do the task
+const _check_allowed = async function( task, userId ){
+    const allowed = await Permissions.isAllowed( task, userId );
+    if( !allowed ){
+        throw new Meteor.Error( 'app.jobs.unauthorized', 'Unauthorized' );
+    }
+};
+
+Meteor.APP.Jobs = {
+    Defaults: {
+        lockTimeout: 3600
+    },
+
+    /**
+     * @returns {Mongo.Collection} the jobs locks collection
+     */
+    collection(){
+        return Meteor.APP.Collections.get( 'jobs_locks' );
+    },
+
+    /**
+     * @param {String} name the job name
+     * @returns {Boolean} whether the job is enabled by the settings
+     */
+    enabled( name ){
+        return _conf?.enabled !== false && _jobConf( name ).enabled !== false;
+    },
+
+    /**
+     * @returns {Array<Object>} the registered jobs, as { name, description, schedule, enabled, nextAt } objects
+     */
+    list(){
+        return Object.keys( _jobs ).sort().map(( name ) => {
+            const job = _jobs[name];
+            return {
+                name: name,
+                description: job.def.description || '',
+                schedule: job.schedule.expression(),
+                enabled: this.enabled( name ),
+                nextAt: job.nextAt
+            };
+        });
+    },
+
+    /**
+     * @summary Acquire the lock of the job
+     * @param {String} name the job name
+     * @param {Date} scheduledAt the scheduled run time, null when the job is run on demand
+     * @returns {Boolean} whether the lock has been acquired
+     *  A scheduled run time is only locked once, so that an instance which is late doesn't run the job a second time.
+     */
+    async lock( name, scheduledAt ){
+        const collection = this.collection();
+        await collection.upsertAsync({ _id: name }, { $setOnInsert: { locked: false }});
+        const stale = new Date( Date.now() - ( _conf?.lockTimeout || this.Defaults.lockTimeout ) * 1000 );
+        let selector = { _id: name, $or: [{ locked: false }, { lockedAt: { $lt: stale }}] };
+        let set = { locked: true, lockedAt: new Date(), lockedBy: os.hostname()+':'+process.pid };
+        if( scheduledAt ){
+            selector.lastScheduledAt = { $ne: scheduledAt };
+            set.lastScheduledAt = scheduledAt;
+        }
+        const res = await collection.updateAsync( selector, { $set: set });
+        return res === 1;
+    },
+
+    /**
+     * @summary Register a job, replacing any job of the same name
+     * @param {Object} def the job definition, see /imports/server/jobs/index.js
+     */
+    register( def ){
+        assert.ok( def && _.isString( def.name ) && def.name.length, 'Meteor.APP.Jobs.register() expects a named job' );
+        assert.ok( _.isFunction( def.run ), 'Meteor.APP.Jobs.register() expects a run() function' );
+        if( _jobs[def.name]?.timer ){
+            Meteor.clearTimeout( _jobs[def.name].timer );
+        }
+        _jobs[def.name] = { def: def, schedule: new CronSchedule( _jobConf( def.name ).schedule || def.schedule ), nextAt: null, timer: null };
+        _arm( def.name );
+    },
+
+    /**
+     * @summary Run the job if its lock can be acquired, recording the run
+     * @param {String} name the job name
+     * @param {Date} scheduledAt the scheduled run time, defaulting to null for a run on demand
+     * @returns {String} the identifier of the run record, or null if the job is locked by another run
+     */
+    async run( name, scheduledAt=null ){
+        const job = _jobs[name];
+        assert.ok( job, 'Meteor.APP.Jobs.run() unknown job: '+name );
+        if( !await this.lock( name, scheduledAt )){
+            return null;
+        }
+        let output = [];
+        const runs = JobsRuns.collection();
+        const runId = await runs.insertAsync({
+            name: name,
+            scheduledAt: scheduledAt,
+            startedAt: new Date(),
+            endedAt: null,
+            host: os.hostname()+':'+process.pid,
+            status: 'running',
+            output: ''
+        });
+        let status = 'success';
+        try {
+            const res = await job.def.run({
+                conf: _jobConf( name ),
+                log( ...args ){
+                    output.push( args.map(( it ) => _.isString( it ) ? it : JSON.stringify( it )).join( ' ' ));
+                }
+            });
+            if( res !== undefined ){
+                output.push( _.isString( res ) ? res : JSON.stringify( res ));
+            }
+        } catch( e ){
+            status = 'error';
+            output.push( e.message || String( e ));
+            logger.error( name, e );
+        } finally {
+            await runs.updateAsync({ _id: runId }, { $set: { endedAt: new Date(), status: status, output: output.join( '\n' )}});
+            await this.unlock( name );
+        }
+        return runId;
+    },
+
+    /**
+     * @summary Start the scheduler with the provided settings
+     * @param {Object} conf the 'jobs' environment settings
+     */
+    start( conf ){
+        _conf = conf || {};
+        Object.keys( _jobs ).forEach(( name ) => {
+            _jobs[name].schedule = new CronSchedule( _jobConf( name ).schedule || _jobs[name].def.schedule );
+            _arm( name );
+        });
+    },
+
+    /**
+     * @summary Release the lock of the job
+     * @param {String} name the job name
+     */
+    async unlock( name ){
+        await this.collection().updateAsync({ _id: name }, { $set: { locked: false }, $unset: { lockedAt: '', lockedBy: '' }});
+    }
+};
+
+Jobs.forEach(( it ) => {
+    Meteor.APP.Jobs.register( it );
+});
+
+Meteor.methods({
+    // the list of the registered jobs
+    async 'app_jobs_list'(){
+        await _check_allowed( 'app.jobs.list', this.userId );
+        return Meteor.APP.Jobs.list();
+    },
+
+    // run a job on demand, returning the identifier of the run record, or null if the job is already running
+    async 'app_jobs_run'( name ){
+        check( name, String );
+        await _check_allowed( 'app.jobs.run', this.userId );
+        if( !_jobs[name] ){
+            throw new Meteor.Error( 'app.jobs.unknown', 'Unknown job: '+name );
+        }
+        return await Meteor.APP.Jobs.run( name );
+    }
+});
+
+// start the scheduler once the settings are available
+let _done = false;
+
+Meteor.startup(() => {
+    Tracker.autorun(() => {
+        if( EnvSettings.ready() && !_done ){
+            _done = true;
+            Meteor.APP.Secrets.environmentSettings()
+                .then(( settings ) => {
+                    Meteor.APP.Jobs.start( settings?.jobs );
+                })
+                .catch(( e ) => {
+                    logger.error( e );
+                });
+        }
+    });
+});
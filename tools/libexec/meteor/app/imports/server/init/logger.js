@@ -0,0 +1,56 @@
+/*
+ * /imports/server/init/logger.js
+ *
+ * Identify the server process in the log records, and write them to a rotated log file when configured.
+ *
+ * As with TTP, the node name is taken from TTP_NODE environment variable, defaulting to the hostname.
+ * The log file is configured with the 'logging.file' key of the environment settings, see /imports/common/init/logger.js.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import os from 'node:os';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { LogFile } from '../classes/log-file.class.js';
+
+const logger = Logger.get( 'logger' );
+
+// the current log file, if any
+let _file = null;
+
+Logger.context({
+    host: process.env.TTP_NODE || os.hostname(),
+    pid: process.pid,
+    username: process.env.LOGNAME || process.env.USER || process.env.USERNAME || 'unknown'
+});
+
+Logger.addSink(( line ) => {
+    if( _file ){
+        _file.write( line );
+    }
+});
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                const conf = settings?.logging?.file || {};
+                if( conf.enabled === true && conf.path ){
+                    if( !_file || _file.path() !== conf.path ){
+                        _file = new LogFile( conf );
+                        logger.info( 'logging to', conf.path );
+                    }
+                } else {
+                    _file = null;
+                }
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,92 @@
+/*
+ * /imports/server/init/mail-transport.js
+ *
+ * Select how the emails are delivered.
+ *
+ * Configuration is read from the 'mail' key of the environment settings:
+ *  "mail": {
+ *      "transport": "smtp",        // 'smtp' (default), 'file' or 'capture'
+ *      "file": {
+ *          "directory": "/tmp/MyApplication/mails"     // where the .eml files are written when transport is 'file'
+ *      },
+ *      "capture": {
+ *          "retentionDays": 7      // the captured mails are automatically removed after this delay
+ *      },
+ *      "private": {
+ *          "url": "${env:SMTP_URL}"   // overrides the MAIL_URL environment variable when transport is 'smtp', usually a secret reference
+ *      }
+ *  }
+ *
+ * - smtp: the standard Meteor delivery through the MAIL_URL
+ * - file: each mail is written as a .eml file in the configured directory
+ * - capture: each mail is stored in the 'mails_captured' collection, to be browsed from the administrator inbox
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+import { Email } from 'meteor/email';
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Random } from 'meteor/random';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+import { MailsCaptured } from '/imports/common/collections/mails-captured/index.js';
+
+const logger = Logger.get( 'mail-transport' );
+
+// the mail options which are kept
+const Fields = [ 'from', 'to', 'cc', 'bcc', 'replyTo', 'subject', 'text', 'html', 'headers', 'attachments' ];
+
+// returns the raw RFC 822 message
+const _compose = async function( options ){
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    const info = await transport.sendMail( _.pick( options, Fields ));
+    return info.message;
+};
+
+const Transports = {
+    async capture( options ){
+        await MailsCaptured.collection().insertAsync({
+            createdAt: new Date(),
+            ..._.pick( options, [ 'from', 'to', 'cc', 'bcc', 'replyTo', 'subject' ] ),
+            text: options.text || '',
+            html: options.html || ''
+        });
+    },
+
+    async file( options, conf ){
+        const directory = conf?.file?.directory || path.join( '/tmp', Meteor.APP.name, 'mails' );
+        await fs.mkdir( directory, { recursive: true });
+        const name = new Date().toISOString().replace( /[:.]/g, '-' )+'-'+Random.id( 6 )+'.eml';
+        await fs.writeFile( path.join( directory, name ), await _compose( options ));
+    }
+};
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                const conf = settings?.mail || {};
+                const transport = conf.transport || 'smtp';
+                if( Transports[transport] ){
+                    Email.customTransport = async ( options ) => {
+                        await Transports[transport]( options, conf );
+                    };
+                } else {
+                    assert.ok( transport === 'smtp', 'mail-transport: unknown transport \''+transport+'\'' );
+                    Email.customTransport = undefined;
+                    if( conf.private?.url ){
+                        process.env.MAIL_URL = conf.private.url;
+                    }
+                }
+                logger.info( 'emails are delivered through \''+transport+'\'' );
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
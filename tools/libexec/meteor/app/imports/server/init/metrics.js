@@ -0,0 +1,41 @@
+/*
+ * /imports/server/init/metrics.js
+ *
+ * The application metrics registry, available as Meteor.APP.Metrics.
+ * It is fed by telemetry-collect.js, exposed as Prometheus text by webapp-metrics.js, and published to MQTT by telemetry-mqtt.js.
+ *
+ * The application may define its own metrics, e.g.:
+ *  Meteor.APP.Metrics.counter( 'myapp_things_created_total', 'Count of created things' ).inc();
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { MetricsRegistry } from '../classes/metrics-registry.class.js';
+
+Meteor.APP.Metrics = new MetricsRegistry();
+
+Meteor.APP.Metrics.gauge( 'meteor_ddp_sessions', 'Count of connected DDP sessions', [], async ( gauge ) => {
+    gauge.set( {}, Meteor.server.sessions.size );
+});
+
+Meteor.APP.Metrics.gauge( 'meteor_subscriptions', 'Count of live subscriptions per publication', [ 'publication' ], async ( gauge ) => {
+    gauge.reset();
+    Meteor.server.sessions.forEach(( session ) => {
+        session._namedSubs.forEach(( sub ) => {
+            gauge.inc({ publication: sub._name });
+        });
+    });
+});
+
+Meteor.APP.Metrics.histogram( 'meteor_method_duration_seconds', 'Duration of the method calls', [ 'method' ] );
+
+Meteor.APP.Metrics.counter( 'meteor_logins_total', 'Count of login attempts per result', [ 'result' ] );
+
+Meteor.APP.Metrics.histogram( 'meteor_mongo_duration_seconds', 'Duration of the MongoDB operations', [ 'operation' ] );
+
+Meteor.APP.Metrics.counter( 'meteor_accounts_manager_operations_total', 'Count of accounts created, edited and deleted', [ 'operation' ] );
+
+Meteor.APP.Metrics.counter( 'meteor_accounts_lockouts_total', 'Count of accounts locked after too many failed logins' );
+
+Meteor.APP.Metrics.counter( 'meteor_rate_limited_total', 'Count of method calls and subscriptions refused by the rate limiter', [ 'type', 'name' ] );
@@ -0,0 +1,145 @@
+/*
+ * /imports/server/init/migrations.js
+ *
+ * Run the database migrations at server startup.
+ *
+ * The current version is maintained in the 'control' document of the 'migrations' collection, which also acts as a lock
+ * so that only one server instance migrates the database.
+ *
+ * Configuration is read from the 'migrations' key of the environment settings:
+ *  "migrations": {
+ *      "enabled": true,
+ *      "dryRun": false,        // when true, only log the migrations which would be run
+ *      "target": null,         // the target version, defaulting to the last known migration, may be lower than the current one to run down migrations
+ *      "lockTimeout": 600      // the delay in seconds after which a lock is considered stale
+ *  }
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import os from 'node:os';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { Migrations } from '../migrations/index.js';
+
+const logger = Logger.get( 'migrations' );
+
+const ControlId = 'control';
+
+Meteor.APP.Migrations = {
+    Defaults: {
+        lockTimeout: 600
+    },
+
+    /**
+     * @returns {Mongo.Collection} the migrations control collection
+     */
+    collection(){
+        return Meteor.APP.Collections.get( 'migrations' );
+    },
+
+    /**
+     * @returns {Object} the control document, created if needed
+     */
+    async control(){
+        const collection = this.collection();
+        let doc = await collection.findOneAsync({ _id: ControlId });
+        if( !doc ){
+            await collection.upsertAsync({ _id: ControlId }, { $setOnInsert: { version: 0, locked: false, history: [] }});
+            doc = await collection.findOneAsync({ _id: ControlId });
+        }
+        return doc;
+    },
+
+    /**
+     * @summary Acquire the lock
+     * @param {Integer} lockTimeout the delay in seconds after which a lock is considered stale
+     * @returns {Boolean} whether the lock has been acquired
+     */
+    async lock( lockTimeout ){
+        await this.control();
+        const stale = new Date( Date.now() - lockTimeout * 1000 );
+        const res = await this.collection().updateAsync({ _id: ControlId, $or: [{ locked: false }, { lockedAt: { $lt: stale }}] }, { $set: {
+            locked: true,
+            lockedAt: new Date(),
+            lockedBy: os.hostname()+':'+process.pid
+        }});
+        return res === 1;
+    },
+
+    /**
+     * @summary Migrate the database up or down to the target version
+     * @param {Object} opts an optional options object with following keys:
+     *  - dryRun: whether to only log the migrations which would be run, defaulting to false
+     *  - target: the target version, defaulting to the last known migration
+     *  - lockTimeout: the delay in seconds after which a lock is considered stale
+     * @returns {Integer} the new current version
+     */
+    async run( opts={} ){
+        const last = Migrations.length ? Migrations[Migrations.length-1].version : 0;
+        const target = _.isInteger( opts.target ) ? opts.target : last;
+        assert.ok( target >= 0 && target <= last, 'Meteor.APP.Migrations.run() target version out of range: '+target );
+        if( !await this.lock( opts.lockTimeout || this.Defaults.lockTimeout )){
+            logger.warn( 'migrations are locked by another instance, skipping' );
+            return ( await this.control()).version;
+        }
+        let version = ( await this.control()).version;
+        try {
+            const up = target > version;
+            const list = up
+                ? Migrations.filter(( it ) => it.version > version && it.version <= target )
+                : Migrations.filter(( it ) => it.version <= version && it.version > target ).reverse();
+            for( const it of list ){
+                const direction = up ? 'up' : 'down';
+                const label = direction+' #'+it.version+' '+it.name;
+                if( opts.dryRun ){
+                    logger.info( label+' (dry run)' );
+                    continue;
+                }
+                logger.info( label );
+                const start = Date.now();
+                await it[direction]();
+                version = up ? it.version : it.version-1;
+                await this.collection().updateAsync({ _id: ControlId }, {
+                    $set: { version: version },
+                    $push: { history: { version: it.version, direction: direction, at: new Date(), duration: Date.now()-start }}
+                });
+            }
+        } finally {
+            await this.unlock();
+        }
+        return version;
+    },
+
+    /**
+     * @summary Release the lock
+     */
+    async unlock(){
+        await this.collection().updateAsync({ _id: ControlId }, { $set: { locked: false }, $unset: { lockedAt: '', lockedBy: '' }});
+    }
+};
+
+// run the migrations once the settings are available
+let _done = false;
+
+Meteor.startup(() => {
+    Tracker.autorun(() => {
+        if( EnvSettings.ready() && !_done ){
+            _done = true;
+            Meteor.APP.Secrets.environmentSettings()
+                .then(( settings ) => {
+                    const conf = settings?.migrations || {};
+                    if( conf.enabled !== false ){
+                        return Meteor.APP.Migrations.run( conf );
+                    }
+                })
+                .catch(( e ) => {
+                    logger.error( e );
+                });
+        }
+    });
+});
@@ -0,0 +1,62 @@
+/*
+ * /imports/server/init/rate-limits.js
+ *
+ * Throttle the DDP method calls and subscriptions with the DDP rate limiter.
+ *
+ * Configuration is read from the 'rateLimits' key of the environment settings:
+ *  "rateLimits": {
+ *      "enabled": true,
+ *      "rules": [              // see /imports/server/settings/rate-limits.js
+ *          { "type": "method", "name": "login", "per": "ip", "requests": 10, "interval": 60 },
+ *          { "per": "connection", "requests": 200, "interval": 10 }
+ *      ]
+ *  }
+ * When rules are configured, they replace the default Meteor rate limit of the login methods.
+ * Each refused call is logged and counted in the 'meteor_rate_limited_total' metric.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+import { DDPRateLimiter } from 'meteor/ddp-rate-limiter';
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { rateLimitRules } from '../settings/rate-limits.js';
+
+const logger = Logger.get( 'rate-limits' );
+
+// the identifiers of the installed rules
+let _ids = [];
+
+// called for each rule check
+const _callback = function( reply, input ){
+    if( !reply.allowed ){
+        Meteor.APP.Metrics.get( 'meteor_rate_limited_total' ).inc({ type: input.type, name: input.name });
+        logger.warn( 'rate limit reached by', input.clientAddress, input.userId || '-', 'on', input.type, input.name );
+    }
+};
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                const conf = settings?.rateLimits || {};
+                const rules = conf.enabled === false ? [] : rateLimitRules( conf.rules || [] );
+                _ids.forEach(( id ) => {
+                    DDPRateLimiter.removeRule( id );
+                });
+                _ids = rules.map(( it ) => DDPRateLimiter.addRule( it.matcher, it.requests, it.interval, _callback ));
+                if( _ids.length ){
+                    MeteorAccounts.removeDefaultRateLimit();
+                }
+                logger.verbose( _ids.length, 'rate limit rule(s) installed' );
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
@@ -0,0 +1,65 @@
+/*
+ * /imports/server/init/secrets.js
+ *
+ * Server-side access to the environment settings, with their '${env:NAME}' and '${file:/path}' secrets references resolved.
+ *
+ * Server modules must read the environment settings with Meteor.APP.Secrets.environmentSettings() instead of
+ * EnvSettings.environmentSettings(): the references are resolved on a copy, so that the settings published to the
+ * client only ever contain the references themselves.
+ * As an additional safety, the resolution fails if a value resolved under a 'private' key is found in Meteor.settings.public.
+ *
+ * The references are resolved once per environment settings, and the result is cached: a changed secret file is only
+ * considered after a restart of the server. The running environment (see the APP_ENV environment variable) is also resolved
+ * when the module is loaded, so that the server refuses to start with a reference which cannot be resolved, rather than
+ * failing later in each module which reads the settings.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+
+import { findSecrets, resolveSecrets } from '../settings/secrets.js';
+
+// the last resolution, as { source, value, error } where source is a copy of the resolved environment settings
+let _resolved = null;
+
+// resolve the settings, throwing when a reference cannot be resolved or when a secret is found in the public settings
+const _resolve = function( settings ){
+    const res = resolveSecrets( settings );
+    const found = findSecrets( Meteor.settings.public, res.secrets );
+    if( found.length ){
+        throw new Error( 'Meteor.APP.Secrets: a secret is exposed in Meteor.settings.public at '+found.join( ', ' ));
+    }
+    return res.value;
+};
+
+Meteor.APP.Secrets = {
+    /**
+     * @returns {Object} a resolved copy of the environment settings
+     * @throws {Error} when a reference cannot be resolved, or when a secret is found in the public settings
+     */
+    async environmentSettings(){
+        const settings = await EnvSettings.environmentSettings();
+        if( !_resolved || !_.isEqual( _resolved.source, settings )){
+            _resolved = { source: _.cloneDeep( settings ), value: null, error: null };
+            try {
+                _resolved.value = _resolve( settings );
+            } catch( e ){
+                _resolved.error = e;
+            }
+        }
+        if( _resolved.error ){
+            throw _resolved.error;
+        }
+        return _resolved.value;
+    }
+};
+
+if( process.env.APP_ENV ){
+    const json = JSON.parse( await Assets.getTextAsync( 'config/server/environments.json' ));
+    const environment = json?.[Meteor.APP.C.appName]?.environments?.[process.env.APP_ENV];
+    if( environment ){
+        _resolve( environment );
+    }
+}
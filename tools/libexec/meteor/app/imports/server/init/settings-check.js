@@ -0,0 +1,37 @@
+/*
+ * /imports/server/init/settings-check.js
+ *
+ * Validate the running environment against the 'private/config/server/environment.schema.json' JSON schema,
+ * which is a copy of the TTP 'schemas/meteor_environment.schema.json' installed by 'meteor.pl create'.
+ *
+ * The check is run when the module is loaded, so that the server refuses to start with an invalid environment
+ * before any other module uses it. The running environment is identified by the APP_ENV environment variable,
+ * all environments being checked when it is not set.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { checkEnvironments } from '../settings/check-environments.js';
+
+const logger = Logger.get( 'settings-check' );
+
+let schema = null;
+try {
+    schema = JSON.parse( await Assets.getTextAsync( 'config/server/environment.schema.json' ));
+} catch( e ){
+    logger.warn( 'environment schema not found, skipping the check' );
+}
+
+if( schema ){
+    const json = JSON.parse( await Assets.getTextAsync( 'config/server/environments.json' ));
+    const errors = checkEnvironments( json, Meteor.APP.C.appName, schema, { only: process.env.APP_ENV });
+    if( errors.length ){
+        errors.forEach(( it ) => {
+            logger.error( it );
+        });
+        throw new Error( 'settings-check: the environment settings are not valid, see above errors' );
+    }
+}
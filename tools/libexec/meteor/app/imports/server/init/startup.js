@@ -7,9 +7,12 @@
 import _ from 'lodash';
 import { strict as assert } from 'node:assert';
 
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'startup' );
+
 Meteor.startup(() => {
-    console.debug( '/imports/server/init/startup.js' );
-    console.log( 'Meteor.startup(): NODE_ENV=\''+process.env['NODE_ENV']+'\'' );
-    console.log( 'Meteor.startup(): APP_ENV=\''+process.env['APP_ENV']+'\'' );
-    console.log( 'Meteor.startup(): runtime.env=\''+Meteor.settings.runtime.env+'\'' );
+    logger.info( 'NODE_ENV=\''+process.env['NODE_ENV']+'\'' );
+    logger.info( 'APP_ENV=\''+process.env['APP_ENV']+'\'' );
+    logger.info( 'runtime.env=\''+Meteor.settings.runtime.env+'\'' );
 });
@@ -0,0 +1,83 @@
+/*
+ * /imports/server/init/telemetry-collect.js
+ *
+ * Collect the application telemetry into the Meteor.APP.Metrics registry:
+ * - method calls duration, per method
+ * - login successes and failures
+ * - MongoDB operations duration, per operation
+ * - accounts created, edited and deleted
+ *
+ * Connected DDP sessions and live subscriptions are computed by the registry itself when collected.
+ * The methods and the MongoDB operations are observed through Meteor.APP.Hooks.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts as MeteorAccounts } from 'meteor/accounts-base';
+
+// the users fields which are updated by the login process, and so do not count as an account edition
+const LoginFields = [ 'services', 'lastConnection', 'apiConnection', 'apiKeys' ];
+
+// run next(), observing its duration in the named histogram
+const _timed = async function( histogram, labels, next ){
+    const start = Date.now();
+    try {
+        return await next();
+    } finally {
+        Meteor.APP.Metrics.get( histogram ).observe( labels, ( Date.now() - start ) / 1000 );
+    }
+};
+
+// whether the update modifier touches other fields than the login ones
+const _isEdition = function( modifier ){
+    const fields = [];
+    Object.keys( modifier || {} ).forEach(( op ) => {
+        if( op.startsWith( '$' )){
+            fields.push( ...Object.keys( modifier[op] || {} ));
+        } else {
+            fields.push( op );
+        }
+    });
+    return fields.some(( it ) => !LoginFields.includes( it.split( '.' )[0] ));
+};
+
+// count the accounts operations from the result of the users collection operation
+const _accounts = function( operation, args, res ){
+    const counter = Meteor.APP.Metrics.get( 'meteor_accounts_manager_operations_total' );
+    switch( operation ){
+        case 'insertAsync':
+            counter.inc({ operation: 'create' });
+            break;
+        case 'removeAsync':
+            counter.inc({ operation: 'delete' }, res || 0 );
+            break;
+        case 'updateAsync':
+            if( res && _isEdition( args[1] )){
+                counter.inc({ operation: 'edit' }, res );
+            }
+            break;
+    }
+};
+
+// MongoDB operations, and accounts operations
+Meteor.APP.Hooks.collection( async ( name, operation, args, next ) => {
+    const res = await _timed( 'meteor_mongo_duration_seconds', { operation: operation }, next );
+    if( name === 'users' ){
+        _accounts( operation, args, res );
+    }
+    return res;
+});
+
+// methods
+Meteor.APP.Hooks.method( async ( name, invocation, next ) => {
+    return await _timed( 'meteor_method_duration_seconds', { method: name }, next );
+});
+
+// logins
+MeteorAccounts.onLogin(() => {
+    Meteor.APP.Metrics.get( 'meteor_logins_total' ).inc({ result: 'success' });
+});
+MeteorAccounts.onLoginFailure(() => {
+    Meteor.APP.Metrics.get( 'meteor_logins_total' ).inc({ result: 'failure' });
+});
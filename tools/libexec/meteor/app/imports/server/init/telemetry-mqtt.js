@@ -0,0 +1,139 @@
+/*
+ * /imports/server/init/telemetry-mqtt.js
+ *
+ * Periodically publish the Meteor.APP.Metrics registry to a MQTT broker, following the TTP topic convention '<NODE>/telemetry/<LABEL_VALUES>/<NAME>'.
+ *
+ * Configuration is read from the 'telemetry.mqtt' key of the environment settings:
+ *  "telemetry": {
+ *      "mqtt": {
+ *          "enabled": true,
+ *          "interval": 60,                             // publication interval in seconds
+ *          "topic": "<NODE>/telemetry/<APP>/<ENV>",     // the topic prefix, where <NODE>, <APP> and <ENV> macros are substituted
+ *          "private": {
+ *              "broker": "mqtt://localhost:1883",
+ *              "username": "",
+ *              "password": ""
+ *          }
+ *      }
+ *  }
+ *
+ * As with TTP, the node name is taken from TTP_NODE environment variable, defaulting to the hostname.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import mqtt from 'mqtt';
+import os from 'node:os';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'telemetry-mqtt' );
+
+const Defaults = {
+    interval: 60,
+    topic: '<NODE>/telemetry/<APP>/<ENV>'
+};
+
+let _client = null;
+let _timer = null;
+
+// returns the topic prefix after macros substitution
+const _prefix = function( conf ){
+    const macros = {
+        NODE: process.env.TTP_NODE || os.hostname(),
+        APP: Meteor.APP.C.appName,
+        ENV: Meteor.settings.runtime?.env || ''
+    };
+    let topic = conf.topic || Defaults.topic;
+    Object.keys( macros ).forEach(( key ) => {
+        topic = topic.replaceAll( '<'+key+'>', macros[key] );
+    });
+    return topic;
+};
+
+// a label value must be usable as a single topic level
+const _level = function( value ){
+    return String( value ).replace( /[^a-zA-Z0-9_.-]+/g, '_' ).replace( /^_+|_+$/g, '' );
+};
+
+// returns the list of { topic, value } to be published
+//  histograms are published as their '_count' and '_sum' values
+const _metrics = async function( prefix ){
+    const res = [];
+    const push = function( labels, name, value ){
+        const levels = Object.values( labels ).map( _level );
+        res.push({ topic: [ prefix, ...levels, name ].join( '/' ).replace( /\/+/g, '/' ), value: value });
+    };
+    await Meteor.APP.Metrics.collect();
+    Meteor.APP.Metrics.metrics().forEach(( metric ) => {
+        metric.entries().forEach(( it ) => {
+            if( metric.type() === 'histogram' ){
+                push( it.labels, metric.name()+'_count', it.value.count );
+                push( it.labels, metric.name()+'_sum', it.value.sum );
+            } else {
+                push( it.labels, metric.name(), it.value );
+            }
+        });
+    });
+    return res;
+};
+
+const _publish = async function( conf ){
+    if( _client && _client.connected ){
+        ( await _metrics( _prefix( conf ))).forEach(( it ) => {
+            _client.publish( it.topic, String( it.value ));
+        });
+    }
+};
+
+const _stop = function(){
+    if( _timer ){
+        Meteor.clearInterval( _timer );
+        _timer = null;
+    }
+    if( _client ){
+        _client.end();
+        _client = null;
+    }
+};
+
+const _start = function( conf ){
+    _stop();
+    const priv = conf.private || {};
+    if( !priv.broker ){
+        logger.warn( 'telemetry.mqtt.private.broker is not set' );
+        return;
+    }
+    _client = mqtt.connect( priv.broker, {
+        username: priv.username || undefined,
+        password: priv.password || undefined
+    });
+    _client.on( 'error', ( e ) => {
+        logger.error( e.message );
+    });
+    _timer = Meteor.setInterval(() => {
+        _publish( conf ).catch(( e ) => {
+            logger.error( e );
+        });
+    }, ( conf.interval || Defaults.interval ) * 1000 );
+};
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                const conf = settings?.telemetry?.mqtt;
+                if( conf && conf.enabled ){
+                    _start( conf );
+                } else {
+                    _stop();
+                }
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
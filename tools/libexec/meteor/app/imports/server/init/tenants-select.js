@@ -0,0 +1,50 @@
+/*
+ * /imports/server/init/tenants-select.js
+ *
+ * Let the connected user select the tenant they work in, among the tenants where they hold at least the 'SCOPED_USER' role.
+ * The last selection is recorded in the 'lastTenant' field of the user document, so that it is restored at next login.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { check, Match } from 'meteor/check';
+
+// the tenants entities, restricted to the scopes of the user
+const _entities = function(){
+    return Meteor.APP.Collections.scoped( Meteor.APP.C.tenantsEntities, { field: '_id' });
+};
+
+// throws if the user is not connected
+const _check_connected = function( userId ){
+    if( !userId ){
+        throw new Meteor.Error( 'app.tenants.unauthorized', 'Unauthorized' );
+    }
+};
+
+Meteor.methods({
+    // the tenants of the current user, as { tenants: [{ entity, records }], last } where last is the last selected entity identifier
+    async 'app_tenants_list'(){
+        _check_connected( this.userId );
+        const entities = await ( await _entities().find( this.userId, {}, { sort: { _id: 1 }})).fetchAsync();
+        const records = await Meteor.APP.Collections.get( Meteor.APP.C.tenantsRecords ).find({ entity: { $in: entities.map(( it ) => it._id ) }}).fetchAsync();
+        const user = await Meteor.users.findOneAsync({ _id: this.userId }, { projection: { lastTenant: 1 }});
+        return {
+            tenants: entities.map(( entity ) => ({ entity: entity, records: records.filter(( it ) => it.entity === entity._id ) })),
+            last: user?.lastTenant || null
+        };
+    },
+
+    // record the tenant selected by the current user, null to clear the selection
+    async 'app_tenants_select'( entityId ){
+        check( entityId, Match.OneOf( String, null ));
+        _check_connected( this.userId );
+        if( entityId ){
+            const scopes = await _entities().scopes( this.userId );
+            if( scopes !== null && !scopes.includes( entityId )){
+                throw new Meteor.Error( 'app.tenants.forbidden', 'Forbidden: tenant \''+entityId+'\' is not allowed' );
+            }
+        }
+        await Meteor.users.updateAsync({ _id: this.userId }, { $set: { lastTenant: entityId }});
+    }
+});
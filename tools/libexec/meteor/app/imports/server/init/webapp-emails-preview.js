@@ -0,0 +1,67 @@
+/*
+ * /imports/server/init/webapp-emails-preview.js
+ *
+ * Development only: render the account emails with sample data.
+ *
+ * - /dev/emails: the list of the templates, in each managed language
+ * - /dev/emails/<name>?language=<language>&format=html|text: the rendered template
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { WebApp } from 'meteor/webapp';
+
+import { EmailTemplates } from '../emails/index.js';
+
+// the sample data
+const SampleUser = {
+    _id: 'sampleUserId',
+    username: 'jdoe',
+    emails: [{ address: 'john.doe@example.com', verified: false }]
+};
+
+const _settings = async function(){
+    return EnvSettings.ready() ? await Meteor.APP.Secrets.environmentSettings() : {};
+};
+
+if( Meteor.isDevelopment ){
+    WebApp.handlers.get( '/dev/emails', async ( req, res ) => {
+        const languages = Object.keys( Meteor.APP.i18n ).sort();
+        let html = '<!DOCTYPE html><html><head><meta charset="utf-8" /><title>Emails preview</title></head><body><h1>Emails preview</h1><ul>';
+        Object.keys( EmailTemplates.Names ).forEach(( name ) => {
+            html += '<li>'+name+': ';
+            html += languages.map(( language ) => {
+                const path = '/dev/emails/'+name+'?language='+language;
+                return language+' (<a href="'+path+'&format=html">html</a>, <a href="'+path+'&format=text">text</a>)';
+            }).join( ', ' );
+            html += '</li>';
+        });
+        html += '</ul></body></html>';
+        res.set( 'Content-Type', 'text/html; charset=utf-8' );
+        res.status( 200 ).send( html );
+    });
+
+    WebApp.handlers.get( '/dev/emails/:name', async ( req, res ) => {
+        const name = req.params.name;
+        if( !EmailTemplates.Names[name] ){
+            res.status( 404 ).end();
+            return;
+        }
+        const email = EmailTemplates.render( name, {
+            user: SampleUser,
+            url: Meteor.absoluteUrl( '#/'+name+'/sample-token' ),
+            settings: await _settings(),
+            language: req.query.language
+        });
+        res.set( 'Cache-Control', 'no-store' );
+        if( req.query.format === 'text' ){
+            res.set( 'Content-Type', 'text/plain; charset=utf-8' );
+            res.status( 200 ).send( 'Subject: '+email.subject+'\n\n'+email.text );
+        } else {
+            res.set( 'Content-Type', 'text/html; charset=utf-8' );
+            res.status( 200 ).send( email.html );
+        }
+    });
+}
@@ -0,0 +1,14 @@
+/*
+ * /imports/server/init/webapp-express.js
+ *
+ * Meteor 3 WebApp.handlers is an Express application: install here the middlewares the other webapp's rely on.
+ * Must be imported before other webapp's, but after the rewrites.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { WebApp } from 'meteor/webapp';
+
+// parse JSON bodies of the REST API requests
+WebApp.handlers.use( Meteor.APP.C.restPrefix, WebApp.express.json());
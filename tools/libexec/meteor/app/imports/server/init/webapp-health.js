@@ -0,0 +1,95 @@
+/*
+ * /imports/server/init/webapp-health.js
+ *
+ * Health and readiness HTTP endpoints, to be probed by monitoring tools (e.g. 'http.pl get' or 'http-compare-daemon').
+ *
+ * Both routes answer with a JSON report:
+ *  {
+ *      "status": "ok"|"ko",
+ *      "application": "MyApplication",
+ *      "version": "00.01.01.1",
+ *      "environment": "dev:0",
+ *      "checks": {
+ *          "mongo": true|false,       // /readyz only
+ *          "settings": true|false
+ *      }
+ *  }
+ *
+ * - /healthz: liveness, always returns a 200 status as long as the server is able to answer; MongoDB is not checked, so that
+ *   a hung database doesn't make the probe hang and the instance be restarted
+ * - /readyz: readiness, returns a 503 status while MongoDB is not reachable or the environment settings are not ready,
+ *   MongoDB being considered unreachable when it doesn't answer the ping within PingTimeout
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { MongoInternals } from 'meteor/mongo';
+import { WebApp } from 'meteor/webapp';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'webapp-health' );
+
+// the max delay in milliseconds to wait for the MongoDB ping
+const PingTimeout = 2000;
+
+// the application version, read once from private/config/public/version.json
+let _version = null;
+
+const _getVersion = async function(){
+    if( _version === null ){
+        try {
+            const json = JSON.parse( await Assets.getTextAsync( 'config/public/version.json' ));
+            _version = json[Meteor.APP.C.appName]?.version || '';
+        } catch( e ){
+            logger.error( e );
+            _version = '';
+        }
+    }
+    return _version;
+};
+
+// whether MongoDB answers to a ping within PingTimeout
+const _mongoOk = async function(){
+    let timer = null;
+    const timeout = new Promise(( resolve ) => {
+        timer = setTimeout(() => { resolve( null ); }, PingTimeout );
+    });
+    try {
+        const res = await Promise.race([ MongoInternals.defaultRemoteCollectionDriver().mongo.db.command({ ping: 1 }), timeout ]);
+        return res?.ok === 1;
+    } catch( e ){
+        return false;
+    } finally {
+        clearTimeout( timer );
+    }
+};
+
+// build the report, MongoDB being only checked when asked for
+const _report = async function( withMongo ){
+    let checks = {};
+    if( withMongo ){
+        checks.mongo = await _mongoOk();
+    }
+    checks.settings = EnvSettings.ready();
+    return {
+        status: Object.values( checks ).every(( it ) => it === true ) ? 'ok' : 'ko',
+        application: Meteor.APP.C.appName,
+        version: await _getVersion(),
+        environment: Meteor.settings.runtime?.env || null,
+        checks: checks
+    };
+};
+
+WebApp.handlers.get( '/healthz', async ( req, res ) => {
+    res.set( 'Cache-Control', 'no-store' );
+    res.status( 200 ).json( await _report( false ));
+});
+
+WebApp.handlers.get( '/readyz', async ( req, res ) => {
+    const report = await _report( true );
+    res.set( 'Cache-Control', 'no-store' );
+    res.status( report.status === 'ok' ? 200 : 503 ).json( report );
+});
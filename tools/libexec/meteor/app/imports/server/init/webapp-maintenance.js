@@ -0,0 +1,31 @@
+/*
+ * /imports/server/init/webapp-maintenance.js
+ *
+ * While the maintenance mode is on, the server routes answer with a 503 status and a 'Retry-After' header.
+ * The health and metrics endpoints are not concerned, so that the monitoring tools keep probing the application, nor the
+ * application pages, so that the users are displayed the maintenance page.
+ * Must be imported before the webapp's of the concerned routes.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { WebApp } from 'meteor/webapp';
+
+import { Maintenance } from '/imports/common/collections/maintenance/index.js';
+
+// the concerned routes prefixes
+const Routes = [
+    Meteor.APP.C.restPrefix,
+    '/dev'
+];
+
+WebApp.handlers.use( Routes, async ( req, res, next ) => {
+    if( !await Maintenance.s.allows( null, null )){
+        const status = Maintenance.s.status();
+        res.set( 'Retry-After', String( status.retryAfter ));
+        res.status( 503 ).json({ error: Maintenance.C.error, message: status.message });
+        return;
+    }
+    next();
+});
@@ -0,0 +1,80 @@
+/*
+ * /imports/server/init/webapp-metrics.js
+ *
+ * Expose the Meteor.APP.Metrics registry in Prometheus text format as '/metrics'.
+ *
+ * The endpoint is enabled per environment with the 'telemetry.prometheus.enabled' key of the environment settings,
+ * and answers a 404 status when disabled. As the metrics may reveal the activity of the application, the endpoint can be
+ * restricted to some client addresses and/or to a bearer token:
+ *  "telemetry": {
+ *      "prometheus": {
+ *          "enabled": true,
+ *          "allowedAddresses": [ "127.0.0.1", "::1" ],     // as seen by the server, defaulting to all
+ *          "private": {
+ *              "token": "${env:METRICS_TOKEN}"             // expected as 'Authorization: Bearer <token>', defaulting to none
+ *          }
+ *      }
+ *  }
+ * Refused requests answer a 403 status.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import crypto from 'node:crypto';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+import { WebApp } from 'meteor/webapp';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+const logger = Logger.get( 'webapp-metrics' );
+
+let _conf = {};
+
+// whether the request is allowed by the configured client addresses and token
+const _allowed = function( req ){
+    const addresses = _conf.allowedAddresses || [];
+    if( addresses.length ){
+        const address = ( req.ip || req.socket?.remoteAddress || '' ).replace( /^::ffff:/, '' );
+        if( !addresses.includes( address )){
+            return false;
+        }
+    }
+    const token = _conf.private?.token;
+    if( token ){
+        const words = ( req.headers?.authorization || '' ).split( /\s+/ );
+        const expected = crypto.createHash( 'sha256' ).update( token ).digest();
+        const provided = crypto.createHash( 'sha256' ).update( words[1] || '' ).digest();
+        if(( words[0] || '' ).toLowerCase() !== 'bearer' || !crypto.timingSafeEqual( expected, provided )){
+            return false;
+        }
+    }
+    return true;
+};
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                _conf = settings?.telemetry?.prometheus || {};
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
+
+WebApp.handlers.get( '/metrics', async ( req, res ) => {
+    if( _conf.enabled !== true ){
+        res.status( 404 ).end();
+        return;
+    }
+    if( !_allowed( req )){
+        res.status( 403 ).end();
+        return;
+    }
+    res.set( 'Content-Type', 'text/plain; version=0.0.4; charset=utf-8' );
+    res.set( 'Cache-Control', 'no-store' );
+    res.status( 200 ).send( await Meteor.APP.Metrics.exposition());
+});
@@ -0,0 +1,60 @@
+/*
+ * /imports/server/init/webapp-rest-global.js
+ *
+ * The REST API of the application.
+ *
+ * All requests must be authenticated against the accounts collection, either with a HTTP Basic authentication (email address or username, and password),
+ * or with a Bearer token. The account must have been allowed to use the REST API (see 'apiAllowed' field).
+ * Each authenticated call updates the 'apiConnection' last connection date of the account.
+ *
+ * The application adds its own routes to the Express router, e.g.:
+ *
+ *  Meteor.APP.Rest.router.get( '/things', async ( req, res ) => {
+ *      // req.APP.user is the authenticated user document
+ *      res.json( await Things.find().fetchAsync());
+ *  });
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { WebApp } from 'meteor/webapp';
+
+import { Accounts } from '/imports/common/collections/accounts/index.js';
+
+const router = WebApp.express.Router();
+
+// authenticate each request, refusing accounts which are not allowed to use the API
+router.use( async ( req, res, next ) => {
+    try {
+        const auth = await Accounts.s.apiAuthenticate( req );
+        if( !auth.user ){
+            if( auth.status === 401 ){
+                res.set( 'WWW-Authenticate', 'Basic realm="'+Meteor.APP.C.appName+'"' );
+            }
+            res.status( auth.status ).json({ error: auth.error });
+            return;
+        }
+        await Accounts.s.apiConnection( auth.user._id );
+        req.APP = { user: auth.user };
+        next();
+    } catch( e ){
+        next( e );
+    }
+});
+
+// returns the authenticated account
+router.get( '/me', ( req, res ) => {
+    const user = req.APP.user;
+    res.json({
+        _id: user._id,
+        username: user.username,
+        emails: user.emails
+    });
+});
+
+Meteor.APP.Rest = {
+    router: router
+};
+
+WebApp.handlers.use( Meteor.APP.C.restPrefix, router );
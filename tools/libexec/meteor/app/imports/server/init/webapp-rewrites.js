@@ -0,0 +1,70 @@
+/*
+ * /imports/server/init/webapp-rewrites.js
+ *
+ * Redirect or internally rewrite the requested urls, e.g. to keep old urls working when routes are moved.
+ *
+ * Configuration is read from the 'rewrites' key of the environment settings:
+ *  "rewrites": {
+ *      "enabled": true,
+ *      "defaults": true,       // whether to apply the default rules after the configured ones
+ *      "rules": [              // see /imports/server/classes/rewrite-rules.class.js
+ *          { "type": "prefix", "from": "/old/", "to": "/new/", "status": 308 },
+ *          { "type": "regex", "from": "^/doc/(\\w+)$", "to": "/help/$1", "action": "rewrite" }
+ *      ]
+ *  }
+ * The default rules are applied after the configured ones, unless explicitly disabled.
+ *
+ * Must be imported before other webapp's, so that rewritten urls are handled by them.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { EnvSettings } from 'meteor/pwix:env-settings';
+import { Tracker } from 'meteor/tracker';
+import { WebApp } from 'meteor/webapp';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+import { RewriteRules } from '../classes/rewrite-rules.class.js';
+
+const logger = Logger.get( 'webapp-rewrites' );
+
+// when route='/doc/res', a path like /images/... is transformed by Meteor in /doc/images...
+// this is a known Meteor bug #12524 (still opened as of 06/2025 - https://github.com/meteor/meteor/issues/12524)
+const Defaults = [
+    { type: 'regex', from: '^/.+?(/images/.*)$', to: '$1', status: 301 }
+];
+
+let _rules = new RewriteRules( Defaults );
+
+WebApp.handlers.use( function( req, res, next ){
+    const match = _rules.match( req.url );
+    if( !match ){
+        next();
+    } else if( match.action === 'rewrite' ){
+        logger.debug( 'rewriting', req.url, 'to', match.url );
+        req.url = match.url;
+        next();
+    } else {
+        logger.debug( 'redirecting', req.url, 'to', match.url, '('+match.status+')' );
+        res.writeHead( match.status, {
+            Location: match.url
+        });
+        res.end();
+    }
+});
+
+Tracker.autorun(() => {
+    if( EnvSettings.ready()){
+        Meteor.APP.Secrets.environmentSettings()
+            .then(( settings ) => {
+                const conf = settings?.rewrites || {};
+                _rules = new RewriteRules( conf.enabled === false ? [] : [ ...( conf.rules || [] ), ...( conf.defaults === false ? [] : Defaults )]);
+                logger.verbose( _rules.count(), 'rewrite rule(s) installed' );
+            })
+            .catch(( e ) => {
+                logger.error( e );
+            });
+    }
+});
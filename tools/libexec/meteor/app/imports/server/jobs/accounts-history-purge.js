@@ -0,0 +1,29 @@
+/*
+ * /imports/server/jobs/accounts-history-purge.js
+ *
+ * Remove the accounts history records older than the configured retention.
+ *
+ * Configuration is read from the 'jobs.list.accounts-history-purge' key of the environment settings:
+ *  "accounts-history-purge": {
+ *      "retentionDays": 365
+ *  }
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Accounts } from '/imports/common/collections/accounts/index.js';
+
+export default {
+    name: 'accounts-history-purge',
+    description: 'Remove the accounts history records older than the configured retention',
+    schedule: '30 3 * * *',
+
+    async run( ctx ){
+        const days = ctx.conf?.retentionDays || 365;
+        const before = new Date( Date.now() - days * 86400 * 1000 );
+        ctx.log( 'removing the records created before', before.toISOString());
+        const count = await Accounts.s.historyCollection().removeAsync({ createdAt: { $lt: before }});
+        return count+' record(s) removed';
+    }
+};
@@ -0,0 +1,25 @@
+/*
+ * /imports/server/jobs/index.js
+ *
+ * The scheduled jobs of the application, registered at startup by /imports/server/init/jobs.js.
+ *
+ * Each job is a module whose default export is an object with following keys:
+ *  - name: a unique name, also used as the key of the job in the 'jobs.list' environment settings
+ *  - description: a short description
+ *  - schedule: a five-fields cron expression or a '@daily'-like shortcut, see /imports/server/classes/cron-schedule.class.js
+ *  - async run( ctx ): the job itself, which receives an object with following keys:
+ *      - conf: the 'jobs.list.<name>' environment settings, if any
+ *      - log( ...args ): a function which records a line of output
+ *    and may return a value which is recorded as the last line of output.
+ *
+ * Other modules may as well register their own jobs with Meteor.APP.Jobs.register().
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import accountsHistoryPurge from './accounts-history-purge.js';
+
+export const Jobs = [
+    accountsHistoryPurge
+];
@@ -0,0 +1,21 @@
+/*
+ * /imports/server/migrations/0001-users-api-allowed.js
+ *
+ * Explicitly set the 'apiAllowed' flag on the accounts which do not have it yet.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+export default {
+    version: 1,
+    name: 'users-api-allowed',
+
+    async up(){
+        await Meteor.users.updateAsync({ apiAllowed: { $exists: false }}, { $set: { apiAllowed: false }}, { multi: true });
+    },
+
+    async down(){
+        await Meteor.users.updateAsync({ apiAllowed: false }, { $unset: { apiAllowed: '' }}, { multi: true });
+    }
+};
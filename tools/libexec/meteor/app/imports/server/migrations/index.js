@@ -0,0 +1,22 @@
+/*
+ * /imports/server/migrations/index.js
+ *
+ * The ordered list of the migrations.
+ *
+ * Each migration is a module whose default export is an object with following keys:
+ *  - version: a strictly increasing integer, which must be the same than the number of the module
+ *  - name: a short description
+ *  - async up(): migrate the documents to this version
+ *  - async down(): revert the documents to the previous version
+ *
+ * New migrations must be added at the end of the list, and must never be modified once deployed.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import m0001 from './0001-users-api-allowed.js';
+
+export const Migrations = [
+    m0001
+];
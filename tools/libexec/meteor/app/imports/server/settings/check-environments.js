@@ -0,0 +1,60 @@
+/*
+ * /imports/server/settings/check-environments.js
+ *
+ * Validate the environment blocks of 'private/config/server/environments.json' against the 'meteor_environment' JSON schema.
+ *
+ * This module doesn't depend on Meteor, so that it is shared between the server startup check and the
+ * 'maintainer/check-settings.mjs' dry check.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+// returns a readable 'dev:0.AccountsHub.users' path from an AJV JSON pointer
+const _path = function( envId, pointer ){
+    return [ envId ].concat( pointer.split( '/' ).slice( 1 ).map(( it ) => it.replace( /~1/g, '/' ).replace( /~0/g, '~' ))).join( '.' );
+};
+
+// returns a readable message from an AJV error
+const _message = function( envId, error ){
+    const path = _path( envId, error.instancePath );
+    switch( error.keyword ){
+        case 'additionalProperties':
+            return path+': unknown key \''+error.params.additionalProperty+'\'';
+        case 'enum':
+            return path+': must be one of '+error.params.allowedValues.map(( it ) => '\''+it+'\'' ).join( ', ' );
+        default:
+            return path+': '+error.message;
+    }
+};
+
+/**
+ * @param {Object} json the content of the environments.json file
+ * @param {String} appName the application name, i.e. the top key of the file
+ * @param {Object} schema the environment JSON schema
+ * @param {Object} opts an optional options object with following keys:
+ *  - only: the identifier of the single environment to be checked, defaulting to all
+ * @returns {Array<String>} the list of the errors, empty when all the checked environments are valid
+ */
+export const checkEnvironments = function( json, appName, schema, opts={} ){
+    const environments = json?.[appName]?.environments;
+    if( !_.isPlainObject( environments )){
+        return [ appName+'.environments: not found' ];
+    }
+    const ajv = new Ajv2020({ allErrors: true });
+    ajv.addKeyword( 'description_array' );
+    const validate = ajv.compile( schema );
+    let errors = [];
+    Object.keys( environments ).filter(( it ) => it !== 'comments' ).sort().forEach(( envId ) => {
+        if( !opts.only || opts.only === envId ){
+            if( !validate( environments[envId] )){
+                errors = errors.concat( validate.errors.map(( it ) => _message( envId, it )));
+            }
+        }
+    });
+    if( opts.only && !environments[opts.only] ){
+        errors.push( opts.only+': environment not found' );
+    }
+    return errors;
+};
@@ -0,0 +1,48 @@
+/*
+ * /imports/server/settings/maintenance.js
+ *
+ * Compute the effective maintenance status from the 'maintenance' environment settings and the maintenance document.
+ *
+ * The environment settings have following keys:
+ *  - enabled: whether the maintenance mode is forced on, defaulting to false
+ *  - message: the default message displayed to the users
+ *  - retryAfter: the delay in seconds advertised to the HTTP clients, defaulting to 300.
+ *
+ * This module doesn't depend on Meteor so that it can be unit tested.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+// the methods which are accepted from anyone, so that the administrators can log in, the logins being checked by themselves
+export const AllowedMethods = [ 'login', 'logout' ];
+
+const Defaults = {
+    retryAfter: 300
+};
+
+/**
+ * @param {Object} settings the 'maintenance' environment settings, may be null
+ * @param {Object} doc the maintenance document, may be null
+ * @returns {Object} the effective status, as an { enabled, forced, message, retryAfter } object,
+ *  where 'forced' is true when the maintenance mode is set by the environment settings
+ */
+export const maintenanceStatus = function( settings, doc ){
+    const forced = settings?.enabled === true;
+    return {
+        enabled: forced || doc?.enabled === true,
+        forced: forced,
+        message: doc?.message || settings?.message || null,
+        retryAfter: settings?.retryAfter || Defaults.retryAfter
+    };
+};
+
+/**
+ * @param {Object} status the effective status, as returned by maintenanceStatus()
+ * @param {String} name the name of the called method, or null for a server route
+ * @param {Boolean} exempt whether the caller is exempt from the maintenance mode
+ * @returns {Boolean} whether the call is accepted
+ */
+export const maintenanceAllows = function( status, name, exempt ){
+    return !status.enabled || exempt || AllowedMethods.includes( name );
+};
@@ -0,0 +1,70 @@
+/*
+ * /imports/server/settings/rate-limits.js
+ *
+ * Build the DDP rate limiter rules from the 'rateLimits.rules' environment settings.
+ *
+ * Each rule is an object with following keys:
+ *  - type: 'method' or 'subscription', defaulting to both
+ *  - name: a method or publication name, or an array of names, defaulting to all
+ *  - per: how the calls are counted:
+ *      'ip': per client address
+ *      'user': per connected user, the anonymous calls being not limited by this rule
+ *      'connection': per DDP connection
+ *      'global': all calls together
+ *    defaulting to 'connection'
+ *  - requests: the max count of calls in the interval
+ *  - interval: the interval in seconds.
+ *
+ * This module doesn't depend on Meteor so that it can be unit tested.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+const Types = [ 'method', 'subscription' ];
+
+// the matcher key which identifies each counting scope
+const Per = {
+    connection: { connectionId: () => true },
+    global: {},
+    ip: { clientAddress: () => true },
+    user: { userId: ( id ) => Boolean( id ) }
+};
+
+/**
+ * @param {Array<Object>} rules the rules settings
+ * @returns {Array<Object>} the DDPRateLimiter rules, as { matcher, requests, interval } objects, interval being in milliseconds
+ * @throws {Error} when a rule is not valid, the message giving the index of the rule
+ */
+export const rateLimitRules = function( rules ){
+    assert.ok( Array.isArray( rules ), 'rateLimitRules() expects an array' );
+    return rules.map(( rule, i ) => {
+        const label = 'rate limit rule #'+i;
+        if( !_.isPlainObject( rule )){
+            throw new Error( label+': not an object' );
+        }
+        const per = rule.per || 'connection';
+        if( !Per[per] ){
+            throw new Error( label+': unknown per \''+per+'\'' );
+        }
+        if( rule.type !== undefined && !Types.includes( rule.type )){
+            throw new Error( label+': unknown type \''+rule.type+'\'' );
+        }
+        if( !_.isInteger( rule.requests ) || rule.requests < 1 || !_.isFinite( rule.interval ) || rule.interval <= 0 ){
+            throw new Error( label+': expects positive requests and interval' );
+        }
+        let matcher = { ...Per[per] };
+        if( rule.type ){
+            matcher.type = rule.type;
+        }
+        if( _.isString( rule.name )){
+            matcher.name = rule.name;
+        } else if( Array.isArray( rule.name )){
+            const names = [ ...rule.name ];
+            matcher.name = ( name ) => names.includes( name );
+        } else if( rule.name !== undefined ){
+            throw new Error( label+': expects a string or an array name' );
+        }
+        return { matcher: matcher, requests: rule.requests, interval: rule.interval * 1000 };
+    });
+};
@@ -0,0 +1,94 @@
+/*
+ * /imports/server/settings/secrets.js
+ *
+ * Resolve the secrets references of the settings.
+ *
+ * A string value may reference, in whole or in part:
+ *  - '${env:NAME}': the value of the NAME environment variable
+ *  - '${file:/path}': the content of the file, without its trailing newlines.
+ *
+ * References are only resolved server-side, on a copy of the settings, so that the resolved values never
+ * reach the client. This module doesn't depend on Meteor so that it can be unit tested.
+ *
+ * The values resolved under a 'private' key are the secrets which must not be exposed: only them are searched for in the
+ * public settings, so that short or common values (e.g. an environment name) resolved elsewhere do not raise false alarms.
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+
+// the reference regular expression
+const Reference = /\$\{(env|file):([^}]+)\}/g;
+
+/**
+ * @param {Any} value the value to be resolved, usually the environment settings object
+ * @param {Object} opts an optional options object with following keys:
+ *  - env: the environment variables, defaulting to process.env
+ *  - readFile( path ): a function which returns the content of a file, defaulting to a synchronous read
+ * @returns {Object} an object with following keys:
+ *  - value: a resolved deep copy of the value
+ *  - secrets: the list of the values resolved under a 'private' key
+ * @throws {Error} when a reference cannot be resolved, the message giving the path of the value
+ */
+export const resolveSecrets = function( value, opts={} ){
+    const env = opts.env || process.env;
+    const readFile = opts.readFile || (( path ) => fs.readFileSync( path, 'utf8' ));
+    let secrets = [];
+
+    const _resolve = function( it, path, secret ){
+        if( _.isString( it )){
+            return it.replace( Reference, ( match, kind, name ) => {
+                let res;
+                if( kind === 'env' ){
+                    res = env[name];
+                    if( res === undefined ){
+                        throw new Error( path+': environment variable \''+name+'\' is not set' );
+                    }
+                } else {
+                    try {
+                        res = readFile( name ).replace( /[\r\n]+$/, '' );
+                    } catch( e ){
+                        throw new Error( path+': unable to read \''+name+'\': '+e.message );
+                    }
+                }
+                if( secret ){
+                    secrets.push( res );
+                }
+                return res;
+            });
+        }
+        if( Array.isArray( it )){
+            return it.map(( v, i ) => _resolve( v, path+'['+i+']', secret ));
+        }
+        if( _.isPlainObject( it )){
+            return _.mapValues( it, ( v, key ) => _resolve( v, path ? path+'.'+key : key, secret || key === 'private' ));
+        }
+        return it;
+    };
+
+    return { value: _resolve( value, '', false ), secrets: _.uniq( secrets ) };
+};
+
+/**
+ * @param {Any} value a value to be scanned, usually Meteor.settings.public
+ * @param {Array<String>} secrets the resolved secrets, as returned by resolveSecrets()
+ * @returns {Array<String>} the paths of the value where a secret is found
+ */
+export const findSecrets = function( value, secrets ){
+    const list = secrets.filter(( it ) => it.length > 0 );
+    let found = [];
+    const _scan = function( it, path ){
+        if( _.isString( it )){
+            if( list.some(( secret ) => it.includes( secret ))){
+                found.push( path );
+            }
+        } else if( Array.isArray( it )){
+            it.forEach(( v, i ) => _scan( v, path+'['+i+']' ));
+        } else if( _.isPlainObject( it )){
+            Object.keys( it ).forEach(( key ) => _scan( it[key], path ? path+'.'+key : key ));
+        }
+    };
+    _scan( value, '' );
+    return found;
+};
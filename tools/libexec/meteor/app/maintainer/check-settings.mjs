@@ -0,0 +1,30 @@
+/*
+ * /maintainer/check-settings.mjs
+ *
+ * Dry check of the environments settings against their JSON schema, to be run before 'meteor.pl deploy'.
+ *
+ * Usage, from the application root directory:
+ *  meteor npm run check-settings [-- <environment>]
+ *
+ * Exits with a non-zero code when an environment is not valid.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { checkEnvironments } from '../imports/server/settings/check-environments.js';
+
+const root = path.join( path.dirname( fileURLToPath( import.meta.url )), '..' );
+const read = ( ...parts ) => JSON.parse( fs.readFileSync( path.join( root, ...parts ), 'utf8' ));
+
+const appName = read( 'package.json' ).name;
+const errors = checkEnvironments( read( 'private', 'config', 'server', 'environments.json' ), appName, read( 'private', 'config', 'server', 'environment.schema.json' ), { only: process.argv[2] });
+
+if( errors.length ){
+    errors.forEach(( it ) => {
+        console.error( it );
+    });
+    process.exit( 1 );
+}
+console.log( appName+': '+( process.argv[2] || 'all environments' )+' ok' );
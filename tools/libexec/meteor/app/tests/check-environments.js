@@ -0,0 +1,49 @@
+/*
+ * /tests/check-environments.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+if( Meteor.isServer ){
+    describe( 'environments check', function(){
+        let checkEnvironments = null;
+        let environments = null;
+        let schema = null;
+
+        // returns the environments file content with the given environments
+        const _json = function( o ){
+            return { [Meteor.APP.C.appName]: { environments: o }};
+        };
+
+        before( async function(){
+            ({ checkEnvironments } = await import( '/imports/server/settings/check-environments.js' ));
+            environments = JSON.parse( await Assets.getTextAsync( 'config/server/environments.json' ))[Meteor.APP.C.appName].environments;
+            try {
+                schema = JSON.parse( await Assets.getTextAsync( 'config/server/environment.schema.json' ));
+            } catch( e ){
+                schema = null;
+            }
+        });
+
+        beforeEach( function(){
+            // the schema is installed by 'meteor.pl create'
+            if( !schema ){
+                this.skip();
+            }
+        });
+
+        it( 'validates the shipped dev:0 environment', function(){
+            assert.deepStrictEqual( checkEnvironments( _json( environments ), Meteor.APP.C.appName, schema, { only: 'dev:0' }), []);
+        });
+
+        it( 'reports an unknown key with its readable path', function(){
+            const env = { ...environments['dev:0'], rewrites: { enabled: true, unknownKey: true }};
+            assert.deepStrictEqual( checkEnvironments( _json({ 'dev:0': env }), Meteor.APP.C.appName, schema ), [ 'dev:0.rewrites: unknown key \'unknownKey\'' ]);
+        });
+
+        it( 'reports a missing environment', function(){
+            assert.deepStrictEqual( checkEnvironments( _json( environments ), Meteor.APP.C.appName, schema, { only: 'prod:0' }), [ 'prod:0: environment not found' ]);
+            assert.deepStrictEqual( checkEnvironments({}, Meteor.APP.C.appName, schema ), [ Meteor.APP.C.appName+'.environments: not found' ]);
+        });
+    });
+}
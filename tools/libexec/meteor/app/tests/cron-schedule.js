@@ -0,0 +1,53 @@
+/*
+ * /tests/cron-schedule.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+if( Meteor.isServer ){
+    describe( 'cron schedule', function(){
+        let CronSchedule = null;
+
+        // a local reference date: Monday 2026-10-19 10:17:30
+        const from = new Date( 2026, 9, 19, 10, 17, 30 );
+
+        before( async function(){
+            ({ CronSchedule } = await import( '/imports/server/classes/cron-schedule.class.js' ));
+        });
+
+        it( 'honors minute steps', function(){
+            assert.deepStrictEqual( new CronSchedule( '*/15 * * * *' ).next( from ), new Date( 2026, 9, 19, 10, 30 ));
+        });
+
+        it( 'honors shortcuts', function(){
+            assert.deepStrictEqual( new CronSchedule( '@daily' ).next( from ), new Date( 2026, 9, 20, 0, 0 ));
+            assert.deepStrictEqual( new CronSchedule( '@hourly' ).next( from ), new Date( 2026, 9, 19, 11, 0 ));
+        });
+
+        it( 'honors days of week ranges', function(){
+            assert.deepStrictEqual( new CronSchedule( '30 2 * * 1-5' ).next( from ), new Date( 2026, 9, 20, 2, 30 ));
+        });
+
+        it( 'accepts 7 as sunday', function(){
+            assert.deepStrictEqual( new CronSchedule( '5 4 * * 7' ).next( from ), new Date( 2026, 9, 25, 4, 5 ));
+        });
+
+        it( 'matches either the day of month or the day of week when both are restricted', function(){
+            assert.deepStrictEqual( new CronSchedule( '0 12 1 * 0' ).next( from ), new Date( 2026, 9, 25, 12, 0 ));
+        });
+
+        it( 'skips to the next matching year', function(){
+            assert.deepStrictEqual( new CronSchedule( '0 0 29 2 *' ).next( from ), new Date( 2028, 1, 29, 0, 0 ));
+        });
+
+        it( 'returns null when the schedule never matches', function(){
+            assert.strictEqual( new CronSchedule( '0 0 31 2 *' ).next( from ), null );
+        });
+
+        it( 'rejects invalid expressions', function(){
+            for( const expression of [ '60 * * * *', '* * *', '5-2 * * * *', 'a * * * *' ]){
+                assert.throws(() => new CronSchedule( expression ), Error );
+            }
+        });
+    });
+}
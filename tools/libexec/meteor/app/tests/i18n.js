@@ -0,0 +1,79 @@
+/*
+ * /tests/i18n.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { I18nChecker } from '/imports/common/classes/i18n-checker.class.js';
+
+describe( 'i18n checker', function(){
+    const translations = {
+        en: { a: { b: 'B', c: 'C %s' }, d: 'D' },
+        fr: { a: { b: 'B', e: 'E' }, d: 'D' }
+    };
+
+    it( 'flattens the translations as sorted dotted keys', function(){
+        assert.deepStrictEqual( I18nChecker.flatten( translations.en ), [ 'a.b', 'a.c', 'd' ]);
+    });
+
+    it( 'lists the missing and extra keys per language', function(){
+        const checker = new I18nChecker( translations, [ 'en', 'fr', 'de' ]);
+        assert.deepStrictEqual( checker.compare(), {
+            fr: { missing: [ 'a.c' ], extra: [ 'a.e' ]},
+            de: { missing: [ 'a.b', 'a.c', 'd' ], extra: []}
+        });
+    });
+
+    it( 'finds the literal keys referenced by the sources', function(){
+        const content = [
+            '<h4>{{ i18n key="a.b" }}</h4>',
+            'const label = pwixI18n.label( I18N, \'a.c\', name );',
+            'menuLabel: { namespace: I18N, i18n: \'a.x\' }',
+            'const status = pwixI18n.label( I18N, \'a.\'+status );',
+            '// pwixI18n.label( I18N, \'a.y\' )'
+        ].join( '\n' );
+        assert.deepStrictEqual( I18nChecker.references( content, 'x.js' ), [
+            { key: 'a.b', path: 'x.js', line: 1 },
+            { key: 'a.c', path: 'x.js', line: 2 },
+            { key: 'a.x', path: 'x.js', line: 3 }
+        ]);
+    });
+
+    it( 'reports the undefined keys', function(){
+        const checker = new I18nChecker( translations, [ 'en', 'fr' ]);
+        const refs = I18nChecker.references( '{{ i18n key="a.b" }} {{ i18n key="a.z" }}', 'x.html' );
+        assert.deepStrictEqual( checker.report( refs ), [
+            'fr: missing key \'a.c\'',
+            'fr: extra key \'a.e\'',
+            'x.html:1: undefined key \'a.z\''
+        ]);
+    });
+
+    it( 'resolves how a key is translated', function(){
+        const checker = new I18nChecker( translations, [ 'en', 'fr' ]);
+        assert.strictEqual( checker.resolve( 'fr', 'a.b' ), 'defined' );
+        assert.strictEqual( checker.resolve( 'fr-FR', 'a.b' ), 'defined' );
+        assert.strictEqual( checker.resolve( 'fr', 'a.c' ), 'fallback' );
+        assert.strictEqual( checker.resolve( 'de', 'd' ), 'fallback' );
+        assert.strictEqual( checker.resolve( 'en', 'a.z' ), 'undefined' );
+    });
+});
+
+describe( 'i18n completeness', function(){
+    it( 'all managed languages define the same keys', function(){
+        const checker = new I18nChecker( Meteor.APP.i18n, Meteor.APP.C.managedLanguages );
+        assert.deepStrictEqual( checker.report(), [] );
+    });
+
+    if( Meteor.isServer ){
+        it( 'all the keys referenced by the sources are defined', async function(){
+            const { sourceReferences } = await import( '/imports/server/init/i18n-check.js' );
+            const refs = sourceReferences();
+            if( !refs ){
+                this.skip();
+            }
+            const checker = new I18nChecker( Meteor.APP.i18n, Meteor.APP.C.managedLanguages );
+            assert.deepStrictEqual( checker.undefinedKeys( refs ), [] );
+        });
+    }
+});
@@ -0,0 +1,53 @@
+/*
+ * /tests/import-export.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { Accounts } from '/imports/common/collections/accounts/index.js';
+
+describe( 'accounts import and export formats', function(){
+    const fromCsv = ( text ) => Accounts.importExport.fromCsv( text );
+    const fromJson = ( text ) => Accounts.importExport.fromJson( text );
+
+    it( 'parses the quoted CSV values', function(){
+        const rows = fromCsv( 'email,username,roles,adminNotes\n"a@example.com","Smith, John","A; B@t1","say ""hello"""\n' );
+        assert.strictEqual( rows.length, 1 );
+        assert.strictEqual( rows[0].email, 'a@example.com' );
+        assert.strictEqual( rows[0].username, 'Smith, John' );
+        assert.deepStrictEqual( rows[0].roles, [ 'A', 'B@t1' ]);
+        assert.strictEqual( rows[0].adminNotes, 'say "hello"' );
+    });
+
+    it( 'accepts the CRLF line endings and skips the empty lines', function(){
+        const rows = fromCsv( 'email,username\r\na@example.com,alice\r\n\r\nb@example.com,bob\r\n' );
+        assert.deepStrictEqual( rows.map(( it ) => it.username ), [ 'alice', 'bob' ]);
+        assert.strictEqual( rows[1].email, 'b@example.com' );
+    });
+
+    it( 'keeps the newlines embedded in a quoted value', function(){
+        const rows = fromCsv( 'email,adminNotes\na@example.com,"first line\r\nsecond line"\nb@example.com,\n' );
+        assert.strictEqual( rows.length, 2 );
+        assert.strictEqual( rows[0].adminNotes, 'first line\r\nsecond line' );
+        assert.strictEqual( rows[1].adminNotes, undefined );
+    });
+
+    it( 'reads back the exported CSV', function(){
+        const exported = [{ email: 'a@example.com', username: 'a,b', roles: [ 'A', 'B@t1' ], apiAllowed: true, loginAllowed: false, adminNotes: 'x\n"y"' }];
+        assert.deepStrictEqual( fromCsv( Accounts.importExport.toCsv( exported )), exported );
+    });
+
+    it( 'normalizes the JSON rows', function(){
+        const rows = fromJson( '[{ "email": " a@example.com ", "roles": [ "A" ], "apiAllowed": "yes", "loginAllowed": false }]' );
+        assert.deepStrictEqual( rows, [{ email: 'a@example.com', username: undefined, roles: [ 'A' ], apiAllowed: true, loginAllowed: false, adminNotes: undefined }]);
+    });
+
+    it( 'refuses the JSON rows which have not the expected types', function(){
+        assert.throws(() => fromJson( '[{ "email": 5 }]' ), /row 1: 'email' expects a string/ );
+        assert.throws(() => fromJson( '[{ "email": "a@example.com" }, null ]' ), /row 2: expects an object/ );
+        assert.throws(() => fromJson( '[{ "email": "a@example.com", "username": {} }]' ), /'username' expects a string/ );
+        assert.throws(() => fromJson( '[{ "email": "a@example.com", "roles": [ "A", 1 ]}]' ), /'roles' expects/ );
+        assert.throws(() => fromJson( '{ "email": "a@example.com" }' ), /expects an array/ );
+        assert.throws(() => fromJson( '[{ "email": ' ), SyntaxError );
+    });
+});
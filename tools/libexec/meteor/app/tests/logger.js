@@ -0,0 +1,96 @@
+/*
+ * /tests/logger.js
+ */
+
+import _ from 'lodash';
+import { strict as assert } from 'node:assert';
+
+import { Logger } from '/imports/common/classes/logger.class.js';
+
+describe( 'logger', function(){
+    // the records written while capturing
+    let records = [];
+    let capturing = false;
+    let saved = null;
+
+    before( function(){
+        Logger.addSink(( line, record ) => {
+            if( capturing ){
+                records.push({ line, record });
+            }
+        });
+    });
+
+    beforeEach( function(){
+        saved = _.cloneDeep( Logger.configure());
+        records = [];
+        capturing = true;
+    });
+
+    afterEach( function(){
+        capturing = false;
+        Logger.configure( saved );
+    });
+
+    it( 'filters on the default level', function(){
+        Logger.configure({ level: 'warn', namespaces: {} });
+        const logger = Logger.get( 'tests-level' );
+        logger.info( 'not logged' );
+        logger.warn( 'logged' );
+        logger.error( 'logged too' );
+        assert.deepStrictEqual( records.map(( it ) => it.record.level ), [ 'warn', 'error' ]);
+    });
+
+    it( 'honors the per-namespace levels', function(){
+        Logger.configure({ level: 'error', namespaces: { 'tests-verbose': 'verbose' }});
+        Logger.get( 'tests-verbose' ).verbose( 'logged' );
+        Logger.get( 'tests-verbose' ).debug( 'not logged' );
+        Logger.get( 'tests-other' ).warn( 'not logged' );
+        assert.strictEqual( records.length, 1 );
+        assert.strictEqual( records[0].record.namespace, 'tests-verbose' );
+    });
+
+    it( 'ignores unknown levels and formats', function(){
+        const conf = Logger.configure({ level: 'chatty', format: 'xml', namespaces: { 'tests-unknown': 'chatty' }});
+        assert.strictEqual( conf.level, saved.level );
+        assert.strictEqual( conf.format, saved.format );
+        assert.deepStrictEqual( conf.namespaces, {} );
+    });
+
+    it( 'formats TTP lines with their marker', function(){
+        Logger.configure({ level: 'debug', format: 'ttp' });
+        Logger.get( 'tests-ttp' ).warn( 'disk', { used: 92 });
+        assert.match( records[0].line, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{6} [+-]\d{2}:\d{2} \S+ \S+ \S+ \[\S+ tests-ttp\] \(WAR\) disk \{"used":92\}$/ );
+    });
+
+    it( 'formats JSON lines', function(){
+        Logger.configure({ level: 'debug', format: 'json' });
+        Logger.get( 'tests-json' ).info( 'started' );
+        const json = JSON.parse( records[0].line );
+        assert.strictEqual( json.level, 'info' );
+        assert.strictEqual( json.namespace, 'tests-json' );
+        assert.strictEqual( json.message, 'started' );
+    });
+
+    it( 'formats TTP timestamps', function(){
+        const date = new Date( 2026, 9, 19, 8, 5, 3, 42 );
+        assert.match( Logger.timestamp( date ), /^2026-10-19 08:05:03\.042000 [+-]\d{2}:\d{2}$/ );
+    });
+
+    if( Meteor.isServer ){
+        it( 'rotates the log file', async function(){
+            const fs = await import( 'node:fs' );
+            const os = await import( 'node:os' );
+            const path = await import( 'node:path' );
+            const { LogFile } = await import( '/imports/server/classes/log-file.class.js' );
+            const dir = fs.mkdtempSync( path.join( os.tmpdir(), 'logger-' ));
+            const file = new LogFile({ path: path.join( dir, 'app.log' ), maxSize: 10, maxFiles: 2 });
+            [ 'line-1', 'line-2', 'line-3', 'line-4' ].forEach(( it ) => { file.write( it ); });
+            assert.strictEqual( fs.readFileSync( file.path(), 'utf8' ), 'line-4\n' );
+            assert.strictEqual( fs.readFileSync( file.path()+'.1', 'utf8' ), 'line-3\n' );
+            assert.strictEqual( fs.readFileSync( file.path()+'.2', 'utf8' ), 'line-2\n' );
+            assert.strictEqual( fs.existsSync( file.path()+'.3' ), false );
+            fs.rmSync( dir, { recursive: true });
+        });
+    }
+});
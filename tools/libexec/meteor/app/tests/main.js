@@ -4,6 +4,21 @@
 
 import { strict as assert } from 'node:assert';
 
+import './check-environments.js';
+import './cron-schedule.js';
+import './i18n.js';
+import './import-export.js';
+import './logger.js';
+import './maintenance.js';
+import './metrics.js';
+import './permissions-matrix.js';
+import './rate-limits.js';
+import './rewrite-rules.js';
+import './run-context.js';
+import './secrets.js';
+import './tenant-collection.js';
+import './tenants-manager-permissions.js';
+
 describe( 'MyApplication', function(){
     it( 'package.json has correct name', async function(){
         const { name } = await import( '../package.json' );
@@ -0,0 +1,45 @@
+/*
+ * /tests/maintenance.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+if( Meteor.isServer ){
+    describe( 'maintenance mode', function(){
+        let maintenanceAllows = null;
+        let maintenanceStatus = null;
+
+        before( async function(){
+            ({ maintenanceAllows, maintenanceStatus } = await import( '/imports/server/settings/maintenance.js' ));
+        });
+
+        it( 'is off by default', function(){
+            assert.deepStrictEqual( maintenanceStatus( null, null ), { enabled: false, forced: false, message: null, retryAfter: 300 });
+        });
+
+        it( 'is switched on by the maintenance document', function(){
+            const status = maintenanceStatus({ message: 'default', retryAfter: 60 }, { enabled: true, message: 'back at 14:00' });
+            assert.deepStrictEqual( status, { enabled: true, forced: false, message: 'back at 14:00', retryAfter: 60 });
+        });
+
+        it( 'is forced on by the settings, whatever the document', function(){
+            const status = maintenanceStatus({ enabled: true, message: 'default' }, { enabled: false });
+            assert.strictEqual( status.enabled, true );
+            assert.strictEqual( status.forced, true );
+            assert.strictEqual( status.message, 'default' );
+        });
+
+        it( 'only accepts the logins and the calls of the exempt users', function(){
+            const on = maintenanceStatus( null, { enabled: true });
+            assert.strictEqual( maintenanceAllows( on, 'app_jobs_list', false ), false );
+            assert.strictEqual( maintenanceAllows( on, 'app_jobs_list', true ), true );
+            assert.strictEqual( maintenanceAllows( on, 'login', false ), true );
+            assert.strictEqual( maintenanceAllows( maintenanceStatus( null, null ), 'app_jobs_list', false ), true );
+        });
+
+        it( 'refuses the server routes', function(){
+            assert.strictEqual( maintenanceAllows( maintenanceStatus( null, { enabled: true }), null, false ), false );
+            assert.strictEqual( maintenanceAllows( maintenanceStatus( null, null ), null, false ), true );
+        });
+    });
+}
@@ -0,0 +1,59 @@
+/*
+ * /tests/metrics.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+if( Meteor.isServer ){
+    describe( 'metrics registry', function(){
+        let MetricsRegistry = null;
+
+        before( async function(){
+            ({ MetricsRegistry } = await import( '/imports/server/classes/metrics-registry.class.js' ));
+        });
+
+        it( 'exposes the metrics ordered by name, with their HELP and TYPE lines', async function(){
+            const registry = new MetricsRegistry();
+            registry.gauge( 'test_sessions', 'Count of sessions', [], async ( gauge ) => { gauge.set( {}, 3 ); });
+            registry.counter( 'test_logins_total', 'Count of logins\nper result', [ 'result' ] ).inc({ result: 'success' }, 2 );
+            assert.strictEqual( await registry.exposition(), [
+                '# HELP test_logins_total Count of logins\\nper result',
+                '# TYPE test_logins_total counter',
+                'test_logins_total{result="success"} 2',
+                '# HELP test_sessions Count of sessions',
+                '# TYPE test_sessions gauge',
+                'test_sessions 3',
+                ''
+            ].join( '\n' ));
+        });
+
+        it( 'escapes the label values', async function(){
+            const registry = new MetricsRegistry();
+            registry.counter( 'test_total', 'help', [ 'path' ] ).inc({ path: 'a\\b "c"\nd' });
+            const lines = ( await registry.exposition()).split( '\n' );
+            assert.strictEqual( lines[2], 'test_total{path="a\\\\b \\"c\\"\\nd"} 1' );
+        });
+
+        it( 'exposes the histogram buckets, sum and count', async function(){
+            const registry = new MetricsRegistry();
+            const histogram = registry.histogram( 'test_duration_seconds', 'Duration', [ 'method' ], [ 1, 0.1 ]);
+            histogram.observe({ method: 'm' }, 0.05 );
+            histogram.observe({ method: 'm' }, 0.5 );
+            histogram.observe({ method: 'm' }, 2 );
+            assert.deepStrictEqual( histogram.samples(), [
+                'test_duration_seconds_bucket{method="m",le="0.1"} 1',
+                'test_duration_seconds_bucket{method="m",le="1"} 2',
+                'test_duration_seconds_bucket{method="m",le="+Inf"} 3',
+                'test_duration_seconds_sum{method="m"} 2.55',
+                'test_duration_seconds_count{method="m"} 3'
+            ]);
+            assert.match( await registry.exposition(), /^# TYPE test_duration_seconds histogram$/m );
+        });
+
+        it( 'refuses to register a name with another type', function(){
+            const registry = new MetricsRegistry();
+            registry.counter( 'test_total', 'help' );
+            assert.throws(() => registry.gauge( 'test_total', 'help' ), /already registered/ );
+        });
+    });
+}
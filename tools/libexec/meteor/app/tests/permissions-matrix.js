@@ -0,0 +1,100 @@
+/*
+ * /tests/permissions-matrix.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { Roles } from 'meteor/pwix:roles';
+
+import { PermissionsMatrix } from '/imports/common/init/permissions-matrix.js';
+
+// the roles of our test users, where scoped roles are given as the list of their scopes
+const Users = {
+    manager: { roles: { ACCOUNTS_MANAGER: true }, level: 2 },
+    scopedManager: { roles: { SCOPED_ACCOUNTS_MANAGER: [ 't1' ] }, level: 1 },
+    nobody: { roles: {}, level: 0 }
+};
+
+const _userIsInRoles = async function( userId, role, opts={} ){
+    const has = Users[userId]?.roles[role];
+    if( Array.isArray( has )){
+        return opts.anyScope ? has.length > 0 : has.includes( opts.scope );
+    }
+    return has === true;
+};
+
+const _compareLevels = async function( userId, targetId ){
+    return Users[userId].level - Users[targetId].level;
+};
+
+const amInstance = function( name ){
+    return { name(){ return name; }};
+};
+
+describe( 'permissions matrix', function(){
+    let saved = null;
+
+    before( function(){
+        saved = { userIsInRoles: Roles.userIsInRoles, compareLevels: Roles.compareLevels };
+        Roles.userIsInRoles = _userIsInRoles;
+        Roles.compareLevels = _compareLevels;
+    });
+
+    after( function(){
+        Roles.userIsInRoles = saved.userIsInRoles;
+        Roles.compareLevels = saved.compareLevels;
+    });
+
+    it( 'compiles task paths into a tree', function(){
+        const tree = PermissionsMatrix.compile({ 'a.b.c': { roles: [ 'X' ] }, comments: [] });
+        assert.strictEqual( typeof tree.a.b.c, 'function' );
+        assert.strictEqual( tree.comments, undefined );
+    });
+
+    it( 'denies when not connected', async function(){
+        assert.strictEqual( await PermissionsMatrix.rule({ connected: true })( null ), false );
+    });
+
+    it( 'allows any connected user', async function(){
+        assert.strictEqual( await PermissionsMatrix.rule({ connected: true })( 'nobody' ), true );
+    });
+
+    it( 'honors global roles', async function(){
+        const rule = PermissionsMatrix.rule({ roles: [ 'ACCOUNTS_MANAGER' ] });
+        assert.strictEqual( await rule( 'manager', {} ), true );
+        assert.strictEqual( await rule( 'scopedManager', { scope: 't1' }), false );
+    });
+
+    it( 'honors scoped roles in the scope of the arguments', async function(){
+        const rule = PermissionsMatrix.rule({ scopedRoles: [ 'SCOPED_ACCOUNTS_MANAGER' ] });
+        assert.strictEqual( await rule( 'scopedManager', { scope: 't1' }), true );
+        assert.strictEqual( await rule( 'scopedManager', { scope: 't2' }), false );
+        assert.strictEqual( await rule( 'scopedManager', {} ), false );
+    });
+
+    it( 'honors scoped roles in the scope of the item', async function(){
+        const rule = PermissionsMatrix.rule({ scopedRoles: [ 'SCOPED_ACCOUNTS_MANAGER' ], scopeFrom: 'item' });
+        assert.strictEqual( await rule( 'scopedManager', 't1' ), true );
+        assert.strictEqual( await rule( 'scopedManager', { _id: 't1' }), true );
+        assert.strictEqual( await rule( 'scopedManager', { _id: 't2' }), false );
+    });
+
+    it( 'honors scoped roles in any scope', async function(){
+        const rule = PermissionsMatrix.rule({ scopedRoles: [ 'SCOPED_ACCOUNTS_MANAGER' ], anyScope: true });
+        assert.strictEqual( await rule( 'scopedManager', {} ), true );
+        assert.strictEqual( await rule( 'nobody', {} ), false );
+    });
+
+    it( 'honors roles levels comparison', async function(){
+        const rule = PermissionsMatrix.rule({ roles: [ 'ACCOUNTS_MANAGER' ], scopedRoles: [ 'SCOPED_ACCOUNTS_MANAGER' ], compareLevels: true });
+        assert.strictEqual( await rule( 'manager', { id: 'scopedManager' }), true );
+        assert.strictEqual( await rule( 'manager', { id: 'manager' }), true );
+        assert.strictEqual( await rule( 'scopedManager', { id: 'manager', scope: 't1' }), false );
+    });
+
+    it( 'honors the AccountsManager instances', async function(){
+        const rule = PermissionsMatrix.rule({ roles: [ 'ACCOUNTS_MANAGER' ], amInstances: [ 'users' ] });
+        assert.strictEqual( await rule( 'manager', { amInstance: amInstance( 'users' )}), true );
+        assert.strictEqual( await rule( 'manager', { amInstance: amInstance( 'others' )}), false );
+    });
+});
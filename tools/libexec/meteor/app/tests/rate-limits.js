@@ -0,0 +1,51 @@
+/*
+ * /tests/rate-limits.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+if( Meteor.isServer ){
+    describe( 'rate limits rules', function(){
+        let rateLimitRules = null;
+
+        before( async function(){
+            ({ rateLimitRules } = await import( '/imports/server/settings/rate-limits.js' ));
+        });
+
+        it( 'counts per client address', function(){
+            const [ rule ] = rateLimitRules([{ type: 'method', name: 'login', per: 'ip', requests: 10, interval: 60 }]);
+            assert.strictEqual( rule.requests, 10 );
+            assert.strictEqual( rule.interval, 60000 );
+            assert.strictEqual( rule.matcher.type, 'method' );
+            assert.strictEqual( rule.matcher.name, 'login' );
+            assert.strictEqual( rule.matcher.clientAddress( '10.0.0.1' ), true );
+            assert.strictEqual( rule.matcher.connectionId, undefined );
+        });
+
+        it( 'counts per user, ignoring the anonymous calls', function(){
+            const [ rule ] = rateLimitRules([{ per: 'user', requests: 5, interval: 1 }]);
+            assert.strictEqual( rule.matcher.userId( 'abc' ), true );
+            assert.strictEqual( rule.matcher.userId( null ), false );
+            assert.strictEqual( rule.matcher.type, undefined );
+        });
+
+        it( 'counts per connection by default, and globally on demand', function(){
+            const [ conn, global ] = rateLimitRules([{ requests: 5, interval: 1 }, { per: 'global', requests: 5, interval: 1 }]);
+            assert.strictEqual( conn.matcher.connectionId( 'x' ), true );
+            assert.deepStrictEqual( global.matcher, {} );
+        });
+
+        it( 'matches a list of names', function(){
+            const [ rule ] = rateLimitRules([{ type: 'subscription', name: [ 'a', 'b' ], requests: 5, interval: 1 }]);
+            assert.strictEqual( rule.matcher.name( 'b' ), true );
+            assert.strictEqual( rule.matcher.name( 'c' ), false );
+        });
+
+        it( 'rejects invalid rules', function(){
+            assert.throws(() => rateLimitRules([{ per: 'host', requests: 5, interval: 1 }]), /rule #0: unknown per/ );
+            assert.throws(() => rateLimitRules([{ requests: 5, interval: 1 }, { type: 'publication', requests: 5, interval: 1 }]), /rule #1: unknown type/ );
+            assert.throws(() => rateLimitRules([{ requests: 0, interval: 1 }]), /expects positive requests and interval/ );
+            assert.throws(() => rateLimitRules([{ name: 12, requests: 5, interval: 1 }]), /expects a string or an array name/ );
+        });
+    });
+}
@@ -0,0 +1,57 @@
+/*
+ * /tests/rewrite-rules.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+if( Meteor.isServer ){
+    describe( 'rewrite rules', function(){
+        let RewriteRules = null;
+
+        before( async function(){
+            ({ RewriteRules } = await import( '/imports/server/classes/rewrite-rules.class.js' ));
+        });
+
+        it( 'redirects on a prefix, keeping the rest of the path and the query string', function(){
+            const rules = new RewriteRules([{ from: '/old/', to: '/new/' }]);
+            assert.deepStrictEqual( rules.match( '/old/page/1?lang=fr' ), { action: 'redirect', status: 301, url: '/new/page/1?lang=fr' });
+            assert.strictEqual( rules.match( '/older/page' ), null );
+        });
+
+        it( 'redirects on a regular expression, with its groups', function(){
+            const rules = new RewriteRules([{ type: 'regex', from: '^/.+?(/images/.*)$', to: '$1' }]);
+            assert.deepStrictEqual( rules.match( '/doc/res/images/logo.svg' ), { action: 'redirect', status: 301, url: '/images/logo.svg' });
+            assert.strictEqual( rules.match( '/images/logo.svg' ), null );
+        });
+
+        it( 'honors the 302 and 308 statuses', function(){
+            const rules = new RewriteRules([{ from: '/a', to: '/b', status: 302 }, { from: '/c', to: '/d', status: 308 }]);
+            assert.strictEqual( rules.match( '/a' ).status, 302 );
+            assert.strictEqual( rules.match( '/c' ).status, 308 );
+        });
+
+        it( 'rewrites internally', function(){
+            const rules = new RewriteRules([{ type: 'regex', from: '^/doc/(\\w+)$', to: '/help/$1', action: 'rewrite' }]);
+            assert.deepStrictEqual( rules.match( '/doc/install?x=1' ), { action: 'rewrite', status: null, url: '/help/install?x=1' });
+        });
+
+        it( 'applies the first matching rule', function(){
+            const rules = new RewriteRules([{ from: '/shop/cart', to: '/cart' }, { from: '/shop/', to: '/store/' }]);
+            assert.strictEqual( rules.match( '/shop/cart' ).url, '/cart' );
+            assert.strictEqual( rules.match( '/shop/item/2' ).url, '/store/item/2' );
+        });
+
+        it( 'never redirects an url to itself', function(){
+            const rules = new RewriteRules([{ type: 'regex', from: '^(/same)$', to: '$1' }]);
+            assert.strictEqual( rules.match( '/same' ), null );
+        });
+
+        it( 'rejects invalid rules', function(){
+            assert.throws(() => new RewriteRules([{ type: 'glob', from: '/a', to: '/b' }]), /rule #0: unknown type/ );
+            assert.throws(() => new RewriteRules([{ from: '/a', to: '/b' }, { from: '/c', to: '/d', status: 307 }]), /rule #1: unsupported status 307/ );
+            assert.throws(() => new RewriteRules([{ from: '/a', to: '/b', action: 'proxy' }]), /unknown action/ );
+            assert.throws(() => new RewriteRules([{ type: 'regex', from: '(', to: '/b' }]), /rule #0: Invalid regular expression/ );
+            assert.throws(() => new RewriteRules([{ from: '', to: '/b' }]), /expects 'from' and 'to' strings/ );
+        });
+    });
+}
@@ -0,0 +1,32 @@
+/*
+ * /tests/run-context.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { RunContext } from '/imports/common/classes/run-context.class.js';
+
+describe( 'run context validity records', function(){
+    const records = [
+        { _id: 'r1', effectStart: null, effectEnd: new Date( 2025, 11, 31 ) },
+        { _id: 'r2', effectStart: new Date( 2026, 0, 1 ), effectEnd: new Date( 2026, 5, 30 ) },
+        { _id: 'r3', effectStart: new Date( 2026, 8, 1 ), effectEnd: null }
+    ];
+
+    it( 'resolves the record effective at the date', function(){
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2020, 3, 12 ))._id, 'r1' );
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2026, 2, 15, 18, 30 ))._id, 'r2' );
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2030, 0, 1 ))._id, 'r3' );
+    });
+
+    it( 'includes the start and end days', function(){
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2025, 11, 31, 23, 59 ))._id, 'r1' );
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2026, 0, 1, 0, 0 ))._id, 'r2' );
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2026, 5, 30, 12, 0 ))._id, 'r2' );
+    });
+
+    it( 'returns null outside of any validity period', function(){
+        assert.strictEqual( RunContext.effectiveRecord( records, new Date( 2026, 6, 14 )), null );
+        assert.strictEqual( RunContext.effectiveRecord( [], new Date()), null );
+    });
+});
@@ -0,0 +1,191 @@
+/*
+ * /tests/tenant-collection.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { Mongo } from 'meteor/mongo';
+import { Roles } from 'meteor/pwix:roles';
+
+// the global roles of our test users, the scoped roles being given as role assignments
+const GlobalRoles = {
+    manager: [ 'TENANTS_MANAGER' ]
+};
+
+const _userIsInRoles = async function( userId, role ){
+    return ( GlobalRoles[userId] || [] ).includes( role );
+};
+
+// the role assignments of our test users, as maintained by Roles with the inherited roles
+const Assignments = [
+    { user: { _id: 'u1' }, role: { _id: 'SCOPED_USER' }, inheritedRoles: [{ _id: 'SCOPED_USER' }], scope: 't1' },
+    { user: { _id: 'u12' }, role: { _id: 'SCOPED_USER' }, inheritedRoles: [{ _id: 'SCOPED_USER' }], scope: 't1' },
+    { user: { _id: 'u12' }, role: { _id: 'SCOPED_TENANT_MANAGER' }, inheritedRoles: [{ _id: 'SCOPED_TENANT_MANAGER' }, { _id: 'SCOPED_USER' }], scope: 't2' },
+    { user: { _id: 'u12' }, role: { _id: 'SCOPED_USER' }, inheritedRoles: [{ _id: 'SCOPED_USER' }], scope: 't2' },
+    { user: { _id: 'unscoped' }, role: { _id: 'SCOPED_USER' }, inheritedRoles: [{ _id: 'SCOPED_USER' }], scope: null },
+    { user: { _id: 'other' }, role: { _id: 'OTHER' }, inheritedRoles: [{ _id: 'OTHER' }], scope: 't1' }
+];
+
+// whether the error is our forbidden error
+const _forbidden = function( e ){
+    return e.error === 'app.tenants.forbidden';
+};
+
+if( Meteor.isServer ){
+    describe( 'tenant collection', function(){
+        let TenantCollection = null;
+
+        before( async function(){
+            ({ TenantCollection } = await import( '/imports/server/classes/tenant-collection.class.js' ));
+        });
+
+        it( 'restricts the selectors to the allowed tenants', function(){
+            assert.deepStrictEqual( TenantCollection.restrict({}, 'tenant', [ 't1' ]), { tenant: { $in: [ 't1' ]}});
+            assert.deepStrictEqual( TenantCollection.restrict( 'id1', 'tenant', [ 't1' ]), { _id: 'id1', tenant: { $in: [ 't1' ]}});
+            assert.deepStrictEqual( TenantCollection.restrict({ tenant: 't2' }, 'tenant', [ 't1' ]), { $and: [{ tenant: 't2' }, { tenant: { $in: [ 't1' ]}}]});
+        });
+
+        it( 'doesn\'t restrict the global users', function(){
+            assert.deepStrictEqual( TenantCollection.restrict({ a: 1 }, 'tenant', null ), { a: 1 });
+            assert.strictEqual( TenantCollection.outside({ a: 1 }, 'tenant', null ), null );
+        });
+
+        it( 'restricts the users without any tenant to nothing', function(){
+            assert.deepStrictEqual( TenantCollection.restrict({}, 'tenant', []), { tenant: { $in: []}});
+        });
+
+        it( 'selects the documents outside of the allowed tenants', function(){
+            assert.deepStrictEqual( TenantCollection.outside({ a: 1 }, 'owner', [ 't1', 't2' ]), { $and: [{ a: 1 }, { owner: { $nin: [ 't1', 't2' ]}}]});
+        });
+
+        it( 'refuses the modifiers which move a document to another tenant', function(){
+            assert.strictEqual( TenantCollection.checkModifier({ $set: { label: 'x' }, $inc: { count: 1 }}, 'tenant' ), null );
+            assert.match( TenantCollection.checkModifier({ $set: { tenant: 't2' }}, 'tenant' ), /cannot be modified/ );
+            assert.match( TenantCollection.checkModifier({ $unset: { 'tenant.id': '' }}, 'tenant' ), /cannot be modified/ );
+            assert.strictEqual( TenantCollection.checkModifier({ $set: { tenants: 1 }}, 'tenant' ), null );
+            assert.match( TenantCollection.checkModifier({ $rename: { other: 'tenant' }}, 'tenant' ), /cannot be modified/ );
+            assert.match( TenantCollection.checkModifier({ $rename: { tenant: 'other' }}, 'tenant' ), /cannot be modified/ );
+            assert.match( TenantCollection.checkModifier({ $setOnInsert: { tenant: 't2' }}, 'tenant' ), /cannot be modified/ );
+            assert.match( TenantCollection.checkModifier({ $currentDate: { tenant: true }}, 'tenant' ), /cannot be modified/ );
+            assert.match( TenantCollection.checkModifier({ $set: { meta: {}}}, 'meta.tenant' ), /cannot be modified/ );
+            assert.strictEqual( TenantCollection.checkModifier({ $rename: { other: 'label' }}, 'tenant' ), null );
+        });
+
+        it( 'refuses the replacement documents', function(){
+            assert.match( TenantCollection.checkModifier({ label: 'x' }, 'tenant' ), /replacement documents/ );
+            assert.match( TenantCollection.checkModifier({}, 'tenant' ), /replacement documents/ );
+        });
+    });
+
+    describe( 'tenant collection operations', function(){
+        let TenantCollection = null;
+        let saved = null;
+        let things = null;
+
+        before( async function(){
+            ({ TenantCollection } = await import( '/imports/server/classes/tenant-collection.class.js' ));
+            saved = { userIsInRoles: Roles.userIsInRoles, roleAssignment: Meteor.roleAssignment };
+            Roles.userIsInRoles = _userIsInRoles;
+            Meteor.roleAssignment = new Mongo.Collection( null );
+            for( const it of Assignments ){
+                await Meteor.roleAssignment.insertAsync( it );
+            }
+        });
+
+        after( function(){
+            Roles.userIsInRoles = saved.userIsInRoles;
+            Meteor.roleAssignment = saved.roleAssignment;
+        });
+
+        // a fresh local collection with two documents in 't1' and one in 't2'
+        beforeEach( async function(){
+            things = new TenantCollection( new Mongo.Collection( null ));
+            for( const it of [{ _id: 'a1', tenant: 't1' }, { _id: 'b1', tenant: 't1' }, { _id: 'c2', tenant: 't2' }] ){
+                await things.collection().insertAsync( it );
+            }
+        });
+
+        it( 'computes the tenants of a user from its role assignments', async function(){
+            assert.deepStrictEqual( await things.scopes( 'u1' ), [ 't1' ]);
+            assert.deepStrictEqual(( await things.scopes( 'u12' )).sort(), [ 't1', 't2' ]);
+            assert.deepStrictEqual( await things.scopes( 'unscoped' ), []);
+            assert.deepStrictEqual( await things.scopes( 'other' ), []);
+            assert.deepStrictEqual( await things.scopes( null ), []);
+        });
+
+        it( 'gives all the tenants to the holders of the global role', async function(){
+            assert.strictEqual( await things.scopes( 'manager' ), null );
+        });
+
+        it( 'honors the minimal role of the wrapper', async function(){
+            const managed = new TenantCollection( things.collection(), { role: 'SCOPED_TENANT_MANAGER' });
+            assert.deepStrictEqual( await managed.scopes( 'u12' ), [ 't2' ]);
+            assert.deepStrictEqual( await managed.scopes( 'u1' ), []);
+        });
+
+        it( 'stamps the inserted documents with their tenant', async function(){
+            const id1 = await things.insertAsync( 'u12', { label: 'x' }, 't2' );
+            assert.strictEqual(( await things.collection().findOneAsync( id1 )).tenant, 't2' );
+            const id2 = await things.insertAsync( 'u12', { label: 'y', tenant: 't1' });
+            assert.strictEqual(( await things.collection().findOneAsync( id2 )).tenant, 't1' );
+            const id3 = await things.insertAsync( 'u1', { label: 'z' });
+            assert.strictEqual(( await things.collection().findOneAsync( id3 )).tenant, 't1' );
+        });
+
+        it( 'refuses to insert without a tenant or in another tenant', async function(){
+            await assert.rejects( things.insertAsync( 'u12', { label: 'x' }), _forbidden );
+            await assert.rejects( things.insertAsync( 'u1', { label: 'x' }, 't2' ), _forbidden );
+            await assert.rejects( things.insertAsync( 'other', { label: 'x' }, 't1' ), _forbidden );
+            assert.strictEqual( await things.collection().find().countAsync(), 3 );
+        });
+
+        it( 'lets the holders of the global role insert in any tenant', async function(){
+            const id = await things.insertAsync( 'manager', { label: 'x' }, 't3' );
+            assert.strictEqual(( await things.collection().findOneAsync( id )).tenant, 't3' );
+        });
+
+        it( 'updates the documents of the tenants of the user', async function(){
+            assert.strictEqual( await things.updateAsync( 'u1', { tenant: 't1' }, { $set: { label: 'x' }}, { multi: true }), 2 );
+            assert.strictEqual( await things.updateAsync( 'u1', 'a1', { $set: { label: 'y' }}), 1 );
+            assert.strictEqual(( await things.collection().findOneAsync( 'a1' )).label, 'y' );
+            assert.strictEqual(( await things.collection().findOneAsync( 'c2' )).label, undefined );
+        });
+
+        it( 'refuses the updates which reach another tenant', async function(){
+            await assert.rejects( things.updateAsync( 'u1', 'c2', { $set: { label: 'x' }}), _forbidden );
+            await assert.rejects( things.updateAsync( 'u1', {}, { $set: { label: 'x' }}, { multi: true }), _forbidden );
+            assert.strictEqual( await things.collection().find({ label: 'x' }).countAsync(), 0 );
+        });
+
+        it( 'refuses the updates which move a document, the replacements and the upserts', async function(){
+            await assert.rejects( things.updateAsync( 'u12', 'a1', { $set: { tenant: 't2' }}), _forbidden );
+            await assert.rejects( things.updateAsync( 'u1', 'a1', { label: 'x' }), _forbidden );
+            await assert.rejects( things.updateAsync( 'u1', 'z1', { $set: { label: 'x' }}, { upsert: true }), _forbidden );
+            assert.strictEqual(( await things.collection().findOneAsync( 'a1' )).tenant, 't1' );
+        });
+
+        it( 'lets the holders of the global role update all the tenants', async function(){
+            assert.strictEqual( await things.updateAsync( 'manager', {}, { $set: { label: 'x' }}, { multi: true }), 3 );
+        });
+
+        it( 'removes the documents of the tenants of the user', async function(){
+            assert.strictEqual( await things.removeAsync( 'u1', 'a1' ), 1 );
+            assert.strictEqual( await things.removeAsync( 'u12', {}), 2 );
+            assert.strictEqual( await things.collection().find().countAsync(), 0 );
+        });
+
+        it( 'refuses the removals which reach another tenant', async function(){
+            await assert.rejects( things.removeAsync( 'u1', 'c2' ), _forbidden );
+            await assert.rejects( things.removeAsync( 'u1', {}), _forbidden );
+            await assert.rejects( things.removeAsync( 'other', 'a1' ), _forbidden );
+            assert.strictEqual( await things.collection().find().countAsync(), 3 );
+        });
+
+        it( 'finds the documents of the tenants of the user', async function(){
+            assert.deepStrictEqual(( await ( await things.find( 'u1' )).fetchAsync()).map(( it ) => it._id ).sort(), [ 'a1', 'b1' ]);
+            assert.strictEqual( await things.findOneAsync( 'u1', 'c2' ), undefined );
+            assert.strictEqual(( await ( await things.find( 'manager' )).fetchAsync()).length, 3 );
+            assert.strictEqual(( await ( await things.find( 'nobody' )).fetchAsync()).length, 0 );
+        });
+    });
+}
@@ -0,0 +1,74 @@
+/*
+ * /tests/tenants-manager-permissions.js
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { Roles } from 'meteor/pwix:roles';
+
+import { PermissionsMatrix } from '/imports/common/init/permissions-matrix.js';
+
+// the roles of our test users, where scoped roles are given as the list of their scopes
+//  inherited roles are explicitly listed as the hierarchy is not maintained by the stub
+const Users = {
+    manager: { TENANTS_MANAGER: true },
+    scopedManager: { SCOPED_TENANT_MANAGER: [ 't1' ], SCOPED_USER: [ 't1' ] },
+    scopedUser: { SCOPED_USER: [ 't1' ] },
+    nobody: {}
+};
+
+const _userIsInRoles = async function( userId, role, opts={} ){
+    const has = Users[userId]?.[role];
+    if( Array.isArray( has )){
+        return opts.anyScope ? has.length > 0 : has.includes( opts.scope );
+    }
+    return has === true;
+};
+
+// the tenants manager tasks
+const Tasks = [ 'access', 'create', 'delete', 'edit', 'list' ];
+
+// the shipped permissions matrix is read from the private assets, so server-side only
+if( Meteor.isServer ){
+    describe( 'tenants manager permissions', function(){
+        let saved = null;
+        let feat = null;
+
+        before( async function(){
+            saved = Roles.userIsInRoles;
+            Roles.userIsInRoles = _userIsInRoles;
+            const json = JSON.parse( await Assets.getTextAsync( 'config/public/permissions.json' ));
+            feat = PermissionsMatrix.compile( json[Meteor.APP.C.appName].permissions.matrix ).pwix.tenants_manager.feat;
+        });
+
+        after( function(){
+            Roles.userIsInRoles = saved;
+        });
+
+        // task -> args -> expected decision per user
+        const Expected = [
+            { task: 'access', item: 't1', users: { manager: true, scopedManager: true, scopedUser: true, nobody: false }},
+            { task: 'access', item: 't2', users: { manager: true, scopedManager: false, scopedUser: false, nobody: false }},
+            { task: 'access', item: { _id: 't1' }, users: { manager: true, scopedManager: true, scopedUser: true, nobody: false }},
+            { task: 'create', item: null, users: { manager: true, scopedManager: false, scopedUser: false, nobody: false }},
+            { task: 'delete', item: 't1', users: { manager: true, scopedManager: false, scopedUser: false, nobody: false }},
+            { task: 'edit', item: 't1', users: { manager: true, scopedManager: true, scopedUser: false, nobody: false }},
+            { task: 'edit', item: { _id: 't2' }, users: { manager: true, scopedManager: false, scopedUser: false, nobody: false }},
+            { task: 'list', item: null, users: { manager: true, scopedManager: true, scopedUser: true, nobody: false }}
+        ];
+
+        Expected.forEach(( expected ) => {
+            Object.keys( expected.users ).forEach(( userId ) => {
+                it( expected.task+'( '+JSON.stringify( expected.item )+' ) is '+( expected.users[userId] ? 'allowed' : 'denied' )+' to '+userId, async function(){
+                    assert.strictEqual( await feat[expected.task]( userId, expected.item ), expected.users[userId] );
+                });
+            });
+        });
+
+        Tasks.forEach(( task ) => {
+            it( task+'() is denied when not connected', async function(){
+                assert.strictEqual( await feat[task]( null, 't1' ), false );
+            });
+        });
+    });
+}
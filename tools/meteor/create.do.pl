@@ -100,6 +100,7 @@ my $opt_package = false;
 my $app_npms = [
 	'@popperjs/core',
 	'@vestergaard-company/js-mixin',
+	'ajv',
 	'bootstrap',
 	'datatables.net-bs5',
     'datatables.net-buttons-bs5',
@@ -116,7 +117,9 @@ my $app_npms = [
     'js-yaml',
     'jstree',
 	'lodash',
+	'mqtt',
 	'multiple-select',
+	'nodemailer',
 	'printf',
 	'strftime',
 	'uuid',
@@ -131,7 +134,10 @@ my $app_meteor_remove = [
 
 # the Meteor packages to be installed in our standard application
 my $app_meteor_packages = [
+	'accounts-2fa',
 	'blaze-html-templates',
+	'ddp-rate-limiter',
+	'email',
 	'jquery',
 	'less'
 ];
@@ -212,6 +218,15 @@ sub doCreateApplication {
 			}
 		}
 	}
+	# install the environment JSON schema
+	msgOut( " install environment schema" );
+	foreach my $it ( @roots ){
+		my $schema = File::Spec->catfile( $it, 'schemas', 'meteor_environment.schema.json' );
+		if( -r $schema ){
+			execLocal( "cp -p $schema $opt_path/private/config/server/environment.schema.json" );
+			last;
+		}
+	}
 	# update application package.json
 	msgOut( " update package.json" );
 	return if !updatePackageJson();
@@ -277,6 +292,7 @@ sub updatePackageJson {
 	if( -r $json ){
 		my $pck = decode_json( path( $json )->slurp_utf8 );
 		$pck->{name} = $opt_name;
+		$pck->{scripts}{'check-settings'} = 'node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON maintainer/check-settings.mjs';
 		$pck->{scripts}{test} = 'meteor test --once --driver-package meteortesting:mocha';
 		$pck->{scripts}{'test-app'} = 'TEST_WATCH=1 meteor test --full-app --driver-package meteortesting:mocha';
 		$pck->{scripts}{visualize} = 'meteor --production --extra-packages bundle-visualizer';
@@ -9,6 +9,7 @@
 # @(-) --to=<to>                   to this target environment [${to}]
 # @(-) --[no]bundle                deploy the application bundle [${bundle}]
 # @(-) --collection=<collection>   deploy the named collection, may be specified several times or as a comma-separated list [${collection}]
+# @(-) --[no]maintenance           switch the target application to maintenance mode while deploying collections [${maintenance}]
 # @(-) --json=<json>               use this json deployment description [${json}]
 # @(-) --[no]list-collections      list collections in the current environment [${list_collections}]
 # @(-) --[no]list-environments     list defined target environments [${list_environments}]
@@ -21,7 +22,7 @@
 # @(@) Note 3: If previous sentences are not clear enough, this verb is expected to be run against a local (development) environment.
 # @(@) Note 4: Actions are:
 # @(@)         --bundle [--application <application_dir>] [--json <json_path>] [--from <from>] --to <to>
-# @(@)         --collection=<collection>[,<collection>[,...]] [--application <application_dir>] [--json <json_path>] [--from <from>] --to <to>
+# @(@)         --collection=<collection>[,<collection>[,...]] [--maintenance] [--application <application_dir>] [--json <json_path>] [--from <from>] --to <to>
 # @(@)         --list-collections [--application <application_dir>] [--json <json_path>]
 # @(@)         --list-environments [--application <application_dir>] [--json <json_path>]
 # @(@)         --first
@@ -66,6 +67,7 @@ my $defaults = {
 	to => '',
 	bundle => 'no',
 	collection => 'ALL',
+	maintenance => 'no',
 	json => './'.File::Spec->catfile( File::Spec->catdir( 'maintainer', 'private' ), 'deployments.json' ),
 	list_collections => 'no',
 	list_environments => 'no',
@@ -78,6 +80,7 @@ my $opt_from = $defaults->{from};
 my $opt_to = $defaults->{to};
 my $opt_bundle = false;
 my @opt_collections = ();
+my $opt_maintenance = false;
 my $opt_json = $defaults->{json};
 my $opt_list_collections = false;
 my $opt_list_environments = false;
@@ -471,12 +474,17 @@ sub doDeployBundle {
 
 sub doDeployCollections {
 	msgOut( "deploying [ '".join( '\', \'', @opt_collections )."' ] collections from '".( $opt_from || "local" )."' to '".( $opt_to || "local" )."'..." );
-	foreach my $collection ( @opt_collections ){
-		msgVerbose( "doDeployCollections() deploying '$collection' collection.." );
-		my $tgz = collectionDumpSource( $collection );
-		next if !$tgz;
-		# if target is local
-		collectionImportTarget( $collection, $tgz );
+	# the collections are not deployed if the maintenance mode cannot be switched on
+	my $ready = $opt_maintenance ? maintenanceTarget( true ) : true;
+	if( $ready ){
+		foreach my $collection ( @opt_collections ){
+			msgVerbose( "doDeployCollections() deploying '$collection' collection.." );
+			my $tgz = collectionDumpSource( $collection );
+			next if !$tgz;
+			# if target is local
+			collectionImportTarget( $collection, $tgz );
+		}
+		maintenanceTarget( false ) if $opt_maintenance;
 	}
 	if( TTP::errs()){
 		msgErr( TTP::errs()." errors detected", { incErr => false });
@@ -857,6 +865,40 @@ sub installTarget {
 	return true;
 }
 
+# -------------------------------------------------------------------------------------------------
+# switch the target application to or from maintenance mode
+# the maintenance document of the application template is directly updated in the target database, and is observed by the running application
+# (I):
+# - whether to switch the maintenance mode on
+# (O):
+# - true|false
+
+sub maintenanceTarget {
+	my ( $enabled ) = @_;
+	my $uri = mongoURI( $to );
+	if( !$uri ){
+		msgVerbose( "an error happened when decoding 'to' Mongo URL" );
+		return false;
+	}
+	msgVerbose( "maintenanceTarget() switching maintenance mode ".( $enabled ? 'on' : 'off' ));
+	my $fname = "maintenance.js";
+	my $tmpname = "/tmp/$fname";
+	my $value = $enabled ? 'true' : 'false';
+	path( $tmpname )->spew_utf8( "db.maintenance.updateOne({ _id: 'maintenance' }, { \$set: { enabled: $value, updatedAt: new Date(), updatedBy: 'meteor.pl deploy' }}, { upsert: true });".EOL );
+	my $res;
+	if( isLocal( $to )){
+		$res = TTP::commandExec( "mongosh $uri --quiet --file $tmpname" );
+	} else {
+		$res = TTP::commandExec( "scp $tmpname $to->{host}:$tmpname" );
+		$res = TTP::commandExec( "ssh $to->{host} \"mongosh $uri --quiet --file $tmpname\"" ) if $res->{success};
+	}
+	if( !$res->{success} ){
+		msgErr( $res->{stderrs}->[0] );
+		return false;
+	}
+	return true;
+}
+
 # -------------------------------------------------------------------------------------------------
 # returns the Mongo database
 # (I):
@@ -1195,6 +1237,7 @@ if( !GetOptions(
 	"to=s"            	=> \$opt_to,
 	"bundle!"            => \$opt_bundle,
 	"collection=s"      	=> \@opt_collections,
+	"maintenance!"		=> \$opt_maintenance,
 	"json=s"            => \$opt_json,
 	"list-collections!"      => \$opt_list_collections,
 	"list-environments!"	=> \$opt_list_environments,
@@ -1219,6 +1262,7 @@ msgVerbose( "got to='$opt_to'" );
 msgVerbose( "got bundle='".( $opt_bundle ? 'true':'false' )."'" );
 @opt_collections= split( /,/, join( ',', @opt_collections ));
 msgVerbose( "got collections=[".join( ',', @opt_collections )."]" );
+msgVerbose( "got maintenance='".( $opt_maintenance ? 'true':'false' )."'" );
 msgVerbose( "got json='$opt_json'" );
 msgVerbose( "got list-collections='".( $opt_list_collections ? 'true':'false' )."'" );
 msgVerbose( "got list-environments='".( $opt_list_environments ? 'true':'false' )."'" );